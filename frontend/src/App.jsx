@@ -1,21 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import LandingPage from './pages/LandingPage';
 import Feed from './pages/Feed';
+import UnlockPrompt from './components/UnlockPrompt';
 import './App.css';
 
-import { getStoredKeys } from './services/api';
+import { getStoredKeys, getPendingRotation, resolvePendingRotation } from './services/api';
 
 function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    // Auto-login if keys exist — no way to "log out"
-    const keys = getStoredKeys();
-    if (keys) {
-      setUser(keys.publicKey);
-    }
-    setLoading(false);
+    const restore = async () => {
+      // A key rotation interrupted before its response arrived: adopt the
+      // new key if the server applied it (otherwise it is kept for next time)
+      if (getPendingRotation()) {
+        await resolvePendingRotation().catch(() => {});
+      }
+      // Auto-login if keys exist — no way to "log out"
+      const keys = getStoredKeys();
+      if (keys) {
+        setUser(keys.publicKey);
+      }
+      setLoading(false);
+    };
+    restore();
   }, []);
 
   const handleLogin = (hashId) => {
@@ -29,7 +38,11 @@ function App() {
       {!user ? (
         <LandingPage onLogin={handleLogin} />
       ) : (
-        <Feed userId={user} />
+        <>
+          {/* Remounted on key rotation so everything reloads for the new key */}
+          <Feed key={user} userId={user} onIdentityChange={handleLogin} />
+          <UnlockPrompt />
+        </>
       )}
     </div>
   );
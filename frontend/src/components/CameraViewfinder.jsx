@@ -0,0 +1,22 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import './CameraViewfinder.css';
+
+// Desktop webcam viewfinder (driven by useImageCapture)
+const CameraViewfinder = ({ videoRef, onCapture, onCancel }) => (
+    <div className="camera-modal">
+        <div className="camera-viewfinder">
+            <video ref={videoRef} autoPlay playsInline muted className="camera-video" />
+            <div className="camera-controls">
+                <button type="button" className="capture-btn" onClick={onCapture} title="Take photo">
+                    <div className="capture-btn-inner" />
+                </button>
+                <button type="button" className="cancel-camera-btn" onClick={onCancel}>
+                    <X size={18} />
+                </button>
+            </div>
+        </div>
+    </div>
+);
+
+export default CameraViewfinder;
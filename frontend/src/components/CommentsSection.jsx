@@ -1,10 +1,185 @@
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Send, User, Loader, Camera, X } from 'lucide-react';
-import { getComments, postComment, getStoredKeys } from '../services/api';
+import React, { useState, useEffect } from 'react';
+import { Send, User, Loader, Camera, X, CornerDownRight, ChevronDown, ChevronRight, ThumbsUp, ThumbsDown, Pencil, Trash2 } from 'lucide-react';
+import CameraViewfinder from './CameraViewfinder';
+import ScreeningWarnings from './ScreeningWarnings';
+import { getComments, postComment, voteComment, editComment, deleteComment, uploadMedia, getMediaUrl, getStoredKeys } from '../services/api';
+import { withSigningKey } from '../services/keySession';
+import { useImageCapture } from '../services/imageCapture';
+import { useContentScreening } from '../services/contentScreening';
+import { useLiveEvents } from '../services/liveEvents';
 import './CommentsSection.css';
 
-const isMobile = () => /Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
+// Visible comments in a thread tree (hidden and deleted placeholders don't count)
+const countComments = (nodes) =>
+    nodes.reduce((sum, c) => sum + (c.hidden || c.deleted ? 0 : 1) + countComments(c.replies || []), 0);
+
+const formatTime = (timestamp) => {
+    const diff = Date.now() - new Date(timestamp).getTime();
+    const mins = Math.floor(diff / 60000);
+    if (mins < 1) return 'Just now';
+    if (mins < 60) return `${mins}m ago`;
+    const hours = Math.floor(mins / 60);
+    if (hours < 24) return `${hours}h ago`;
+    const days = Math.floor(hours / 24);
+    return `${days}d ago`;
+};
+
+const isOwnComment = (commentKey) => {
+    const keys = getStoredKeys();
+    return keys && keys.publicKey === commentKey;
+};
+
+const containsComment = (nodes, commentId) =>
+    nodes.some(c => c.id === commentId || containsComment(c.replies || [], commentId));
+
+// Apply a change to one comment anywhere in the tree
+const updateComment = (nodes, commentId, changes) => nodes.map(c => c.id === commentId
+    ? { ...c, ...changes }
+    : { ...c, replies: updateComment(c.replies || [], commentId, changes) });
+
+// One comment and its replies, collapsible once it has any
+const CommentThread = ({ comment: c, collapsed, onToggle, onReply, onHelpful, onEdit, onDelete }) => {
+    const isCollapsed = collapsed.has(c.id);
+    const [editText, setEditText] = useState(null); // null while not editing
+    const [saving, setSaving] = useState(false);
+    const isPlaceholder = c.hidden || c.deleted;
+
+    const saveEdit = async (e) => {
+        e.preventDefault();
+        if (saving || editText === c.content) {
+            setEditText(null);
+            return;
+        }
+        setSaving(true);
+        if (await onEdit(c, editText)) setEditText(null);
+        setSaving(false);
+    };
+
+    return (
+        <div className="comment-thread">
+            <div className="comment-item">
+                <div className="comment-avatar">
+                    <User size={14} />
+                </div>
+                <div className="comment-content">
+                    {c.deleted ? (
+                        <p className="comment-text comment-hidden">Comment deleted</p>
+                    ) : c.hidden ? (
+                        <p className="comment-text comment-hidden">Comment hidden pending review</p>
+                    ) : (
+                        <>
+                            <div className="comment-header">
+                                <span className={`comment-user ${isOwnComment(c.commenter_public_key) ? 'me' : ''}`}>
+                                    {isOwnComment(c.commenter_public_key) ? 'You' : `Anon-${c.commenter_public_key.substring(0, 6)}`}
+                                </span>
+                                <span className="comment-time">
+                                    {formatTime(c.created_at)}
+                                    {c.edited_at && (
+                                        <span className="comment-edited" title={new Date(c.edited_at).toLocaleString()}> · edited</span>
+                                    )}
+                                </span>
+                            </div>
+                            {editText !== null ? (
+                                <form className="comment-edit" onSubmit={saveEdit}>
+                                    <input
+                                        type="text"
+                                        value={editText}
+                                        onChange={(e) => setEditText(e.target.value)}
+                                        maxLength={500}
+                                        disabled={saving}
+                                        autoFocus
+                                    />
+                                    <button type="submit" className="comment-action" disabled={saving}>Save</button>
+                                    <button type="button" className="comment-action" onClick={() => setEditText(null)} disabled={saving}>Cancel</button>
+                                </form>
+                            ) : (
+                                c.content && <p className="comment-text">{c.content}</p>
+                            )}
+                            {c.media_id && (
+                                <div className="comment-image">
+                                    <img src={getMediaUrl(c.media_id, true)} alt="Comment attachment" onClick={(e) => {
+                                        // Thumbnail in the list, full image when expanded
+                                        const expanded = e.target.classList.toggle('expanded');
+                                        e.target.src = getMediaUrl(c.media_id, !expanded);
+                                    }} />
+                                </div>
+                            )}
+                        </>
+                    )}
+                    <div className="comment-actions">
+                        {!isPlaceholder && (
+                            isOwnComment(c.commenter_public_key) ? (
+                                <span className="comment-helpful-count" title="Marked helpful / unhelpful">
+                                    <ThumbsUp size={12} /> {c.helpful_count} <ThumbsDown size={12} /> {c.unhelpful_count}
+                                </span>
+                            ) : (
+                                <>
+                                    <button
+                                        type="button"
+                                        className={`comment-action ${c.viewer_helpful === true ? 'voted' : ''}`}
+                                        onClick={() => onHelpful(c, c.viewer_helpful === true ? null : true)}
+                                        title="Helpful evidence"
+                                    >
+                                        <ThumbsUp size={12} /> {c.helpful_count}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className={`comment-action ${c.viewer_helpful === false ? 'voted' : ''}`}
+                                        onClick={() => onHelpful(c, c.viewer_helpful === false ? null : false)}
+                                        title="Unhelpful or misleading"
+                                    >
+                                        <ThumbsDown size={12} /> {c.unhelpful_count}
+                                    </button>
+                                </>
+                            )
+                        )}
+                        {!isPlaceholder && isOwnComment(c.commenter_public_key) && editText === null && (
+                            <>
+                                <button type="button" className="comment-action" onClick={() => setEditText(c.content || '')}>
+                                    <Pencil size={12} /> Edit
+                                </button>
+                                <button type="button" className="comment-action" onClick={() => onDelete(c)}>
+                                    <Trash2 size={12} /> Delete
+                                </button>
+                            </>
+                        )}
+                        {c.can_reply && (
+                            <button type="button" className="comment-action" onClick={() => onReply(c)}>
+                                <CornerDownRight size={12} /> Reply
+                            </button>
+                        )}
+                        {c.reply_count > 0 && (
+                            <button type="button" className="comment-action" onClick={() => onToggle(c.id)}>
+                                {isCollapsed ? <ChevronRight size={12} /> : <ChevronDown size={12} />}
+                                {isCollapsed
+                                    ? `${c.reply_count} ${c.reply_count === 1 ? 'reply' : 'replies'}`
+                                    : 'Hide replies'}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {c.replies.length > 0 && !isCollapsed && (
+                <div className="comment-replies">
+                    {c.replies.map(reply => (
+                        <CommentThread
+                            key={reply.id}
+                            comment={reply}
+                            collapsed={collapsed}
+                            onToggle={onToggle}
+                            onReply={onReply}
+                            onHelpful={onHelpful}
+                            onEdit={onEdit}
+                            onDelete={onDelete}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
 
 const CommentsSection = ({ rumorId, onCommentCountUpdate }) => {
     const [comments, setComments] = useState([]);
@@ -14,27 +189,39 @@ const CommentsSection = ({ rumorId, onCommentCountUpdate }) => {
     const [error, setError] = useState('');
     const [imagePreview, setImagePreview] = useState(null);
     const [imageData, setImageData] = useState(null);
-    const [showCamera, setShowCamera] = useState(false);
-    const cameraInputRef = useRef(null);
-    const videoRef = useRef(null);
-    const streamRef = useRef(null);
+    const [notice, setNotice] = useState('');
+    const [replyTo, setReplyTo] = useState(null); // Comment being replied to
+    const [collapsed, setCollapsed] = useState(new Set());
+    const draft = newComment.trim();
+    const screening = useContentScreening(draft);
+    const isBlocked = screening?.outcome === 'block';
+
+    const showError = (message) => {
+        setError(message);
+        setTimeout(() => setError(''), 4000);
+    };
+
+    const { showCamera, cameraInputRef, videoRef, openCamera, capturePhoto, stopCamera, handleImageSelect } = useImageCapture({
+        onImage: (blob) => {
+            if (imagePreview) URL.revokeObjectURL(imagePreview);
+            setImagePreview(URL.createObjectURL(blob));
+            setImageData(blob);
+        },
+        onError: showError
+    });
 
     // Load comments from backend
     useEffect(() => {
         loadComments();
     }, [rumorId]);
 
-    // Cleanup camera stream on unmount
-    useEffect(() => {
-        return () => stopCamera();
-    }, []);
-
-    const loadComments = async () => {
+    // quiet: refresh in place without the loading placeholder
+    const loadComments = async (quiet = false) => {
         try {
-            setLoading(true);
-            const data = await getComments(rumorId);
+            if (!quiet) setLoading(true);
+            const data = await getComments(rumorId, getStoredKeys()?.publicKey);
             setComments(data);
-            if (onCommentCountUpdate) onCommentCountUpdate(data.length);
+            if (onCommentCountUpdate) onCommentCountUpdate(countComments(data));
         } catch {
             setError('Failed to load comments');
         } finally {
@@ -42,140 +229,92 @@ const CommentsSection = ({ rumorId, onCommentCountUpdate }) => {
         }
     };
 
-    const formatTime = (timestamp) => {
-        const diff = Date.now() - new Date(timestamp).getTime();
-        const mins = Math.floor(diff / 60000);
-        if (mins < 1) return 'Just now';
-        if (mins < 60) return `${mins}m ago`;
-        const hours = Math.floor(mins / 60);
-        if (hours < 24) return `${hours}h ago`;
-        const days = Math.floor(hours / 24);
-        return `${days}d ago`;
-    };
-
-    const compressImage = (file, maxWidth = 800, quality = 0.7) => {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const img = new window.Image();
-                img.onload = () => {
-                    const canvas = document.createElement('canvas');
-                    let width = img.width;
-                    let height = img.height;
-                    
-                    if (width > maxWidth) {
-                        height = (height * maxWidth) / width;
-                        width = maxWidth;
-                    }
-                    
-                    canvas.width = width;
-                    canvas.height = height;
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0, width, height);
-                    
-                    const dataUrl = canvas.toDataURL('image/jpeg', quality);
-                    resolve(dataUrl);
-                };
-                img.onerror = reject;
-                img.src = e.target.result;
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
-    };
+    // Someone else's comment: refresh so it lands in its thread
+    useLiveEvents({
+        'comment-added': ({ rumor_id, comment_id }) => {
+            if (rumor_id === rumorId && !loading && !containsComment(comments, comment_id)) {
+                loadComments(true);
+            }
+        }
+    });
 
-    // Mobile: native camera via file input
-    const handleImageSelect = async (e) => {
-        const file = e.target.files?.[0];
-        if (!file) return;
-        
-        if (!file.type.startsWith('image/')) {
-            setError('Please select an image file');
-            setTimeout(() => setError(''), 3000);
+    // Counts update in place; the ranking refreshes on the next load
+    const handleHelpful = async (comment, helpful) => {
+        const keys = getStoredKeys();
+        if (!keys) {
+            showError('Please register first');
             return;
         }
-
         try {
-            const compressed = await compressImage(file);
-            setImagePreview(compressed);
-            setImageData(compressed);
-        } catch {
-            setError('Failed to process image');
-            setTimeout(() => setError(''), 3000);
+            const result = await withSigningKey(privateKey => voteComment(keys.publicKey, privateKey, comment.id, helpful));
+            setComments(prev => updateComment(prev, comment.id, {
+                viewer_helpful: result.viewer_helpful,
+                helpful_count: result.helpful_count,
+                unhelpful_count: result.unhelpful_count,
+                helpfulness: result.helpfulness
+            }));
+        } catch (err) {
+            showError(err.message || 'Vote failed');
         }
     };
 
-    // Desktop: WebRTC camera
-    const openCamera = async () => {
-        if (isMobile()) {
-            cameraInputRef.current?.click();
-            return;
+    // Returns whether the edit went through, so the thread can close its editor
+    const handleEdit = async (comment, content) => {
+        const keys = getStoredKeys();
+        if (!keys) {
+            showError('Please register first');
+            return false;
         }
-
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: { facingMode: 'environment', width: { ideal: 1280 }, height: { ideal: 720 } },
-                audio: false
-            });
-            streamRef.current = stream;
-            setShowCamera(true);
-
-            // Wait for video element to mount
-            setTimeout(() => {
-                if (videoRef.current) {
-                    videoRef.current.srcObject = stream;
-                    videoRef.current.play().catch(() => {});
-                }
-            }, 100);
-        } catch (err) {
-            if (err.name === 'NotAllowedError') {
-                setError('Camera access denied. Please allow camera in browser settings.');
-            } else if (err.name === 'NotFoundError') {
-                setError('No camera found on this device.');
+            const result = await withSigningKey(privateKey => editComment(keys.publicKey, privateKey, comment.id, content));
+            if (result.held_for_review) {
+                setNotice('Your edit will appear once a moderator has reviewed it.');
+                setTimeout(() => setNotice(''), 5000);
+                await loadComments();
             } else {
-                setError('Could not access camera.');
+                // Edits reset helpful votes, which were cast on the old text
+                setComments(prev => updateComment(prev, comment.id, {
+                    content: result.comment.content,
+                    edited_at: result.comment.edited_at,
+                    helpful_count: 0,
+                    unhelpful_count: 0,
+                    helpfulness: 0
+                }));
             }
-            setTimeout(() => setError(''), 4000);
+            return true;
+        } catch (err) {
+            showError(err.message || 'Edit failed');
+            return false;
         }
     };
 
-    const capturePhoto = useCallback(() => {
-        if (!videoRef.current) return;
-
-        const video = videoRef.current;
-        const canvas = document.createElement('canvas');
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(video, 0, 0);
-
-        // Compress to max 800px wide
-        let width = canvas.width;
-        let height = canvas.height;
-        if (width > 800) {
-            height = (height * 800) / width;
-            width = 800;
+    const handleDelete = async (comment) => {
+        if (!window.confirm('Delete this comment permanently?')) return;
+        const keys = getStoredKeys();
+        if (!keys) {
+            showError('Please register first');
+            return;
         }
-        const outCanvas = document.createElement('canvas');
-        outCanvas.width = width;
-        outCanvas.height = height;
-        outCanvas.getContext('2d').drawImage(canvas, 0, 0, width, height);
-
-        const dataUrl = outCanvas.toDataURL('image/jpeg', 0.7);
-        setImagePreview(dataUrl);
-        setImageData(dataUrl);
-        stopCamera();
-    }, []);
-
-    const stopCamera = useCallback(() => {
-        if (streamRef.current) {
-            streamRef.current.getTracks().forEach(track => track.stop());
-            streamRef.current = null;
+        try {
+            await withSigningKey(privateKey => deleteComment(keys.publicKey, privateKey, comment.id));
+            // Re-fetch: the comment either disappears or stays as a placeholder
+            await loadComments();
+        } catch (err) {
+            showError(err.message || 'Delete failed');
         }
-        setShowCamera(false);
-    }, []);
+    };
+
+    const toggleThread = (commentId) => {
+        setCollapsed(prev => {
+            const next = new Set(prev);
+            if (next.has(commentId)) next.delete(commentId);
+            else next.add(commentId);
+            return next;
+        });
+    };
 
     const removeImage = () => {
+        if (imagePreview) URL.revokeObjectURL(imagePreview);
         setImagePreview(null);
         setImageData(null);
         if (cameraInputRef.current) cameraInputRef.current.value = '';
@@ -183,7 +322,7 @@ const CommentsSection = ({ rumorId, onCommentCountUpdate }) => {
 
     const handlePost = async (e) => {
         e.preventDefault();
-        if ((!newComment.trim() && !imageData) || posting) return;
+        if ((!draft && !imageData) || posting || isBlocked) return;
 
         const keys = getStoredKeys();
         if (!keys) {
@@ -195,16 +334,37 @@ const CommentsSection = ({ rumorId, onCommentCountUpdate }) => {
         setError('');
 
         try {
-            const result = await postComment(
-                keys.publicKey, 
-                keys.privateKey, 
-                rumorId, 
-                newComment.trim() || '', 
-                imageData
-            );
-            setComments(prev => [...prev, result.comment]);
-            if (onCommentCountUpdate) onCommentCountUpdate(comments.length + 1);
+            const result = await withSigningKey(async (privateKey) => {
+                // Upload the image first; the comment signs its media id
+                let mediaId = null;
+                if (imageData) {
+                    const media = await uploadMedia(keys.publicKey, privateKey, imageData);
+                    mediaId = media.id;
+                }
+
+                return postComment(
+                    keys.publicKey,
+                    privateKey,
+                    rumorId,
+                    draft,
+                    mediaId,
+                    replyTo ? replyTo.id : null
+                );
+            });
+            if (result.held_for_review) {
+                // Hidden until a moderator reviews it, so it isn't listed yet
+                setNotice('Your comment will appear once a moderator has reviewed it.');
+                setTimeout(() => setNotice(''), 5000);
+            } else if (replyTo) {
+                // Re-fetch so the reply lands in its thread with fresh counts
+                await loadComments();
+            } else {
+                // The live event may already have brought it in
+                setComments(prev => containsComment(prev, result.comment.id) ? prev : [...prev, result.comment]);
+                if (onCommentCountUpdate) onCommentCountUpdate(countComments(comments) + 1);
+            }
             setNewComment("");
+            setReplyTo(null);
             removeImage();
         } catch (err) {
             setError(err.message || 'Failed to post comment');
@@ -214,14 +374,10 @@ const CommentsSection = ({ rumorId, onCommentCountUpdate }) => {
         }
     };
 
-    const isOwnComment = (commentKey) => {
-        const keys = getStoredKeys();
-        return keys && keys.publicKey === commentKey;
-    };
-
     return (
         <div className="comments-section swing-in">
             {error && <div style={{color: 'var(--accent-pink)', fontSize: '12px', padding: '4px 8px'}}>❌ {error}</div>}
+            {notice && <div style={{color: 'var(--accent-cyan)', fontSize: '12px', padding: '4px 8px'}}>{notice}</div>}
             
             <div className="comments-list">
                 {loading ? (
@@ -230,46 +386,23 @@ const CommentsSection = ({ rumorId, onCommentCountUpdate }) => {
                     <div style={{textAlign: 'center', padding: '10px', opacity: 0.5, fontSize: '13px'}}>No comments yet. Be the first!</div>
                 ) : (
                     comments.map(c => (
-                        <div key={c.id} className="comment-item">
-                            <div className="comment-avatar">
-                                <User size={14} />
-                            </div>
-                            <div className="comment-content">
-                                <div className="comment-header">
-                                    <span className={`comment-user ${isOwnComment(c.commenter_public_key) ? 'me' : ''}`}>
-                                        {isOwnComment(c.commenter_public_key) ? 'You' : `Anon-${c.commenter_public_key.substring(0, 6)}`}
-                                    </span>
-                                    <span className="comment-time">{formatTime(c.created_at)}</span>
-                                </div>
-                                {c.content && <p className="comment-text">{c.content}</p>}
-                                {c.image_url && (
-                                    <div className="comment-image">
-                                        <img src={c.image_url} alt="Comment attachment" onClick={(e) => {
-                                            e.target.classList.toggle('expanded');
-                                        }} />
-                                    </div>
-                                )}
-                            </div>
-                        </div>
+                        <CommentThread
+                            key={c.id}
+                            comment={c}
+                            collapsed={collapsed}
+                            onToggle={toggleThread}
+                            onReply={setReplyTo}
+                            onHelpful={handleHelpful}
+                            onEdit={handleEdit}
+                            onDelete={handleDelete}
+                        />
                     ))
                 )}
             </div>
 
             {/* Desktop webcam viewfinder modal */}
             {showCamera && (
-                <div className="camera-modal">
-                    <div className="camera-viewfinder">
-                        <video ref={videoRef} autoPlay playsInline muted className="camera-video" />
-                        <div className="camera-controls">
-                            <button type="button" className="capture-btn" onClick={capturePhoto} title="Take photo">
-                                <div className="capture-btn-inner" />
-                            </button>
-                            <button type="button" className="cancel-camera-btn" onClick={stopCamera}>
-                                <X size={18} />
-                            </button>
-                        </div>
-                    </div>
-                </div>
+                <CameraViewfinder videoRef={videoRef} onCapture={capturePhoto} onCancel={stopCamera} />
             )}
 
             {imagePreview && (
@@ -281,6 +414,18 @@ const CommentsSection = ({ rumorId, onCommentCountUpdate }) => {
                 </div>
             )}
 
+            <ScreeningWarnings screening={screening} text={draft} />
+
+            {replyTo && (
+                <div className="replying-to">
+                    <CornerDownRight size={12} />
+                    Replying to {isOwnComment(replyTo.commenter_public_key) ? 'yourself' : `Anon-${replyTo.commenter_public_key.substring(0, 6)}`}
+                    <button type="button" onClick={() => setReplyTo(null)} title="Cancel reply">
+                        <X size={12} />
+                    </button>
+                </div>
+            )}
+
             <form className="comment-input-area" onSubmit={handlePost}>
                 {/* Hidden mobile camera input */}
                 <input
@@ -310,7 +455,7 @@ const CommentsSection = ({ rumorId, onCommentCountUpdate }) => {
                     maxLength={500}
                     disabled={posting}
                 />
-                <button type="submit" className="send-btn" disabled={(!newComment.trim() && !imageData) || posting}>
+                <button type="submit" className="send-btn" disabled={(!draft && !imageData) || posting || isBlocked}>
                     {posting ? <Loader size={16} className="spin" /> : <Send size={16} />}
                 </button>
             </form>
@@ -1,8 +1,16 @@
 import React, { useState } from 'react';
-import { X, Send, Lock } from 'lucide-react';
-import { submitRumor, getStoredKeys } from '../services/api';
+import { X, Send, Lock, Camera } from 'lucide-react';
+import CameraViewfinder from './CameraViewfinder';
+import ScreeningWarnings from './ScreeningWarnings';
+import { submitRumor, uploadMedia, getStoredKeys } from '../services/api';
+import { withSigningKey } from '../services/keySession';
+import { useImageCapture } from '../services/imageCapture';
+import { useContentScreening } from '../services/contentScreening';
+import { useCategories, formatDeadlineHours } from '../services/categories';
 import './CreatePostModal.css';
 
+const MAX_IMAGES = 4; // Matches RUMOR_MAX_IMAGES on the server
+
 const CreatePostModal = ({ onClose, onSubmit }) => {
     const [content, setContent] = useState('');
     const [category, setCategory] = useState('general');
@@ -10,6 +18,28 @@ const CreatePostModal = ({ onClose, onSubmit }) => {
     const [customDeadline, setCustomDeadline] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
+    const [images, setImages] = useState([]); // [{ blob, preview }]
+    const [rejected, setRejected] = useState(null); // { text, screening } from a rejected submit
+    const screening = useContentScreening(content);
+    const shownScreening = rejected?.text === content ? rejected.screening : screening;
+    const isBlocked = shownScreening?.outcome === 'block';
+    const categories = useCategories();
+    const selectedCategory = categories.find(c => c.slug === category);
+    const defaultDeadline = formatDeadlineHours(selectedCategory?.default_deadline_hours || 72);
+
+    const { showCamera, cameraInputRef, videoRef, openCamera, capturePhoto, stopCamera, handleImageSelect } = useImageCapture({
+        onImage: (blob) => setImages(prev => prev.length >= MAX_IMAGES
+            ? prev
+            : [...prev, { blob, preview: URL.createObjectURL(blob) }]),
+        onError: setError
+    });
+
+    const removeImage = (index) => {
+        setImages(prev => {
+            URL.revokeObjectURL(prev[index].preview);
+            return prev.filter((_, i) => i !== index);
+        });
+    };
 
     // Helper to format date for datetime-local input (in local timezone)
     const getLocalDateTimeString = (date) => {
@@ -56,11 +86,23 @@ const CreatePostModal = ({ onClose, onSubmit }) => {
             // Convert datetime-local value to proper ISO string
             const deadlineToSend = customDeadline ? new Date(customDeadline).toISOString() : null;
 
-            await submitRumor(keys.publicKey, keys.privateKey, content, category, eventType, deadlineToSend);
+            const result = await withSigningKey(async (privateKey) => {
+                // Upload evidence first; the signed submission covers the media ids
+                const mediaIds = [];
+                for (const image of images) {
+                    const media = await uploadMedia(keys.publicKey, privateKey, image.blob);
+                    mediaIds.push(media.id);
+                }
+                return submitRumor(keys.publicKey, privateKey, content, category, eventType, deadlineToSend, mediaIds);
+            });
+            if (result.held_for_review) {
+                window.alert('Your rumor was submitted and will appear once a moderator has reviewed it.');
+            }
             
             onSubmit({ content, timestamp: Date.now() });
             onClose();
         } catch (err) {
+            if (err.screening) setRejected({ text: content, screening: err.screening });
             setError(err.message || 'Failed to submit rumor');
         } finally {
             setIsSubmitting(false);
@@ -87,6 +129,44 @@ const CreatePostModal = ({ onClose, onSubmit }) => {
                         autoFocus
                         maxLength={1000}
                     />
+                    <ScreeningWarnings screening={shownScreening} text={content} />
+
+                    {showCamera && (
+                        <CameraViewfinder videoRef={videoRef} onCapture={capturePhoto} onCancel={stopCamera} />
+                    )}
+
+                    <div className="evidence-images">
+                        {images.map((image, index) => (
+                            <div key={image.preview} className="image-preview-container">
+                                <img src={image.preview} alt="Evidence preview" className="image-preview" />
+                                <button className="remove-image-btn" onClick={() => removeImage(index)} type="button">
+                                    <X size={14} />
+                                </button>
+                            </div>
+                        ))}
+
+                        {/* Hidden mobile camera input */}
+                        <input
+                            type="file"
+                            ref={cameraInputRef}
+                            accept="image/*"
+                            capture="environment"
+                            onChange={handleImageSelect}
+                            style={{ display: 'none' }}
+                        />
+
+                        {images.length < MAX_IMAGES && (
+                            <button
+                                type="button"
+                                className="camera-btn"
+                                onClick={openCamera}
+                                title="Attach evidence photo"
+                                disabled={isSubmitting || showCamera}
+                            >
+                                <Camera size={16} />
+                            </button>
+                        )}
+                    </div>
 
                     <div style={{margin: '15px 0'}}>
                         <label style={{display: 'block', marginBottom: '8px', fontWeight: 'bold'}}>
@@ -97,13 +177,17 @@ const CreatePostModal = ({ onClose, onSubmit }) => {
                             onChange={(e) => setCategory(e.target.value)}
                             style={{width: '100%', padding: '8px', borderRadius: '8px', background: 'rgba(255,255,255,0.05)', color: 'inherit', border: '1px solid rgba(255,255,255,0.1)'}}
                         >
-                            <option value="general">General</option>
-                            <option value="academic">Academic</option>
-                            <option value="events">Events</option>
-                            <option value="sports">Sports</option>
-                            <option value="campus-life">Campus Life</option>
-                            <option value="administration">Administration</option>
+                            {categories.length === 0 && <option value="general">General</option>}
+                            {categories.map(c => (
+                                <option key={c.slug} value={c.slug}>{c.label}</option>
+                            ))}
                         </select>
+                        {selectedCategory && (
+                            <small style={{color: '#666', fontSize: '12px'}}>
+                                {selectedCategory.description}
+                                {selectedCategory.min_voter_reputation > 0 && ` · Voting needs ${selectedCategory.min_voter_reputation} reputation`}
+                            </small>
+                        )}
                     </div>
 
                     <div style={{margin: '15px 0'}}>
@@ -120,7 +204,7 @@ const CreatePostModal = ({ onClose, onSubmit }) => {
                                     onChange={(e) => setEventType(e.target.value)}
                                     style={{marginRight: '8px'}}
                                 />
-                                <strong>Current Event</strong> - Set custom deadline or auto-close in 3 days
+                                <strong>Current Event</strong> - Set custom deadline or auto-close in {defaultDeadline}
                             </label>
                             
                             <label style={{display: 'flex', alignItems: 'center'}}>
@@ -152,7 +236,7 @@ const CreatePostModal = ({ onClose, onSubmit }) => {
                                 <small style={{color: '#666', fontSize: '12px'}}>
                                     {eventType === 'future' 
                                         ? 'Voting will close at this date/time (your local time)'
-                                        : 'Leave empty for automatic 3-day deadline'
+                                        : `Leave empty to close voting in ${defaultDeadline}`
                                     }
                                 </small>
                             </div>
@@ -165,7 +249,7 @@ const CreatePostModal = ({ onClose, onSubmit }) => {
                             <button
                                 type="submit"
                                 className="submit-btn"
-                                disabled={!content.trim() || isSubmitting || (eventType === 'future' && !customDeadline)}
+                                disabled={!content.trim() || isSubmitting || isBlocked || (eventType === 'future' && !customDeadline)}
                             >
                                 {isSubmitting ? 'Signing & Submitting...' : (
                                     <>Submit <Send size={16} /></>
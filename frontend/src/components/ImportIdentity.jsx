@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { FileKey, KeyRound, LogIn } from 'lucide-react';
+import { decryptKeyBackup, keyPairFromPrivateKey, MIN_PASSPHRASE_LENGTH } from '../services/keyBackup';
+import { getReputation, storeKeys, storeEncryptedKey } from '../services/api';
+import { startSession } from '../services/keySession';
+import './ImportIdentity.css';
+
+// Restore an identity from an encrypted backup file or a raw private key.
+// The key pair is only stored once the server confirms it is registered. A
+// backup file is kept as-is (it unlocks with its own passphrase); a raw key is
+// encrypted under a new passphrase first.
+const ImportIdentity = ({ onImported, onCancel }) => {
+    const [mode, setMode] = useState('file'); // 'file' | 'key'
+    const [backup, setBackup] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [passphrase, setPassphrase] = useState('');
+    const [rawKey, setRawKey] = useState('');
+    const [newPassphrase, setNewPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+    const [working, setWorking] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        setError('');
+        setBackup(null);
+        setFileName(file?.name || '');
+        if (!file) return;
+        try {
+            setBackup(JSON.parse(await file.text()));
+        } catch {
+            setError('That file is not a key backup');
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (mode === 'key' && newPassphrase !== confirmPassphrase) {
+            setError('Passphrases do not match');
+            return;
+        }
+        setWorking(true);
+        setError('');
+        try {
+            let keys;
+            if (mode === 'file') {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                keys = await decryptKeyBackup(backup, passphrase);
+            } else {
+                keys = keyPairFromPrivateKey(rawKey);
+            }
+            const { reputation, retired } = await getReputation(keys.publicKey);
+            if (retired) {
+                throw new Error('This key was rotated and is retired - import the backup of your newer key');
+            }
+            if (mode === 'file') {
+                storeEncryptedKey(keys.publicKey, backup);
+            } else {
+                await storeKeys(keys.publicKey, keys.privateKey, newPassphrase);
+            }
+            startSession(keys.publicKey, keys.privateKey);
+            onImported(keys.publicKey, reputation);
+        } catch (err) {
+            setError(err.message || 'Import failed');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const ready = mode === 'file'
+        ? backup && passphrase
+        : rawKey.trim() && newPassphrase.length >= MIN_PASSPHRASE_LENGTH && confirmPassphrase;
+
+    return (
+        <form className="import-identity fade-in" onSubmit={handleSubmit}>
+            <div className="import-modes">
+                <button
+                    type="button"
+                    className={`import-mode ${mode === 'file' ? 'active' : ''}`}
+                    onClick={() => { setMode('file'); setError(''); }}
+                >
+                    <FileKey size={16} /> Backup file
+                </button>
+                <button
+                    type="button"
+                    className={`import-mode ${mode === 'key' ? 'active' : ''}`}
+                    onClick={() => { setMode('key'); setError(''); }}
+                >
+                    <KeyRound size={16} /> Private key
+                </button>
+            </div>
+
+            {mode === 'file' ? (
+                <>
+                    <label className="import-file">
+                        <input type="file" accept=".json,application/json" onChange={handleFile} />
+                        {fileName || 'Choose backup file...'}
+                    </label>
+                    <input
+                        type="password"
+                        className="import-input"
+                        placeholder="Backup passphrase"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        autoComplete="current-password"
+                    />
+                </>
+            ) : (
+                <>
+                    <textarea
+                        className="import-input import-key"
+                        placeholder="Paste your private key"
+                        value={rawKey}
+                        onChange={(e) => setRawKey(e.target.value)}
+                        rows={3}
+                        spellCheck={false}
+                    />
+                    <input
+                        type="password"
+                        className="import-input"
+                        placeholder={`New passphrase for this device (min ${MIN_PASSPHRASE_LENGTH})`}
+                        value={newPassphrase}
+                        onChange={(e) => setNewPassphrase(e.target.value)}
+                        autoComplete="new-password"
+                    />
+                    <input
+                        type="password"
+                        className="import-input"
+                        placeholder="Confirm passphrase"
+                        value={confirmPassphrase}
+                        onChange={(e) => setConfirmPassphrase(e.target.value)}
+                        autoComplete="new-password"
+                    />
+                </>
+            )}
+
+            {error && <p className="import-error">❌ {error}</p>}
+
+            <button type="submit" className="main-btn" disabled={working || !ready}>
+                <LogIn size={18} />
+                {working ? 'Verifying...' : 'Import & Enter'}
+            </button>
+            <button type="button" className="import-cancel" onClick={onCancel}>
+                Cancel
+            </button>
+        </form>
+    );
+};
+
+export default ImportIdentity;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Download, Lock } from 'lucide-react';
+import { encryptKeyBackup, downloadKeyBackup, MIN_PASSPHRASE_LENGTH } from '../services/keyBackup';
+import { withSigningKey } from '../services/keySession';
+import './KeyBackup.css';
+
+// Passphrase form that downloads an encrypted backup of the unlocked identity
+const KeyBackup = ({ publicKey, onSaved }) => {
+    const [passphrase, setPassphrase] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [working, setWorking] = useState(false);
+    const [error, setError] = useState('');
+    const [saved, setSaved] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (passphrase !== confirm) {
+            setError('Passphrases do not match');
+            return;
+        }
+        setWorking(true);
+        setError('');
+        try {
+            // Let the button repaint before scrypt ties up the main thread
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const backup = await withSigningKey(privateKey => encryptKeyBackup(publicKey, privateKey, passphrase));
+            downloadKeyBackup(backup);
+            setSaved(true);
+            setPassphrase('');
+            setConfirm('');
+            onSaved?.();
+        } catch (err) {
+            setError(err.message || 'Failed to create backup');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    return (
+        <form className="key-backup" onSubmit={handleSubmit}>
+            <p className="key-backup-hint">
+                <Lock size={14} /> The backup file is encrypted with your passphrase. Without the passphrase it
+                cannot be restored, and nobody (including us) can recover it for you.
+            </p>
+            <input
+                type="password"
+                className="key-backup-input"
+                placeholder={`Passphrase (min ${MIN_PASSPHRASE_LENGTH} characters)`}
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                autoComplete="new-password"
+            />
+            <input
+                type="password"
+                className="key-backup-input"
+                placeholder="Confirm passphrase"
+                value={confirm}
+                onChange={(e) => setConfirm(e.target.value)}
+                autoComplete="new-password"
+            />
+            {error && <p className="key-backup-error">{error}</p>}
+            {saved && !error && <p className="key-backup-saved">Backup downloaded. Keep the file and passphrase separate.</p>}
+            <button
+                type="submit"
+                className="key-backup-btn"
+                disabled={working || passphrase.length < MIN_PASSPHRASE_LENGTH || !confirm}
+            >
+                <Download size={16} />
+                {working ? 'Encrypting...' : 'Download encrypted backup'}
+            </button>
+        </form>
+    );
+};
+
+export default KeyBackup;
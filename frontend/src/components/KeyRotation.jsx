@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { RefreshCw, ArrowRight } from 'lucide-react';
+import {
+    generateKeyPair, rotateKey, storeEncryptedKey,
+    storePendingRotation, clearPendingRotation, resolvePendingRotation
+} from '../services/api';
+import { encryptKeyBackup, MIN_PASSPHRASE_LENGTH } from '../services/keyBackup';
+import { withSigningKey, startSession } from '../services/keySession';
+import KeyBackup from './KeyBackup';
+import './KeyRotation.css';
+
+// Replace a possibly leaked key with a fresh one. Reputation and history move
+// to the new key server-side; the old key and every backup of it stop working.
+const KeyRotation = ({ publicKey, onRotated }) => {
+    const [open, setOpen] = useState(false);
+    const [passphrase, setPassphrase] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [working, setWorking] = useState(false);
+    const [error, setError] = useState('');
+    const [newPublicKey, setNewPublicKey] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (passphrase !== confirm) {
+            setError('Passphrases do not match');
+            return;
+        }
+        if (!window.confirm('Rotate to a new key? Your current key and all of its backups will stop working.')) return;
+
+        setWorking(true);
+        setError('');
+        try {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const newKeys = generateKeyPair();
+            // Persist the encrypted new key before rotating: if the server commits
+            // but the response never arrives, it is still on this device
+            const encrypted = await encryptKeyBackup(newKeys.publicKey, newKeys.privateKey, passphrase);
+            storePendingRotation(publicKey, newKeys.publicKey, encrypted);
+            try {
+                await withSigningKey(privateKey => rotateKey(publicKey, privateKey, newKeys));
+                storeEncryptedKey(newKeys.publicKey, encrypted);
+                clearPendingRotation();
+            } catch (err) {
+                // The request may have gone through anyway; the key lineage says
+                let rotatedTo;
+                try {
+                    rotatedTo = await resolvePendingRotation();
+                } catch {
+                    throw new Error('Could not confirm the rotation. The new key is kept on this device and checked again when you reload.');
+                }
+                if (rotatedTo !== newKeys.publicKey) throw err;
+            }
+            startSession(newKeys.publicKey, newKeys.privateKey);
+            setNewPublicKey(newKeys.publicKey);
+            setPassphrase('');
+            setConfirm('');
+        } catch (err) {
+            setError(err.message || 'Key rotation failed');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    if (newPublicKey) {
+        return (
+            <div className="key-rotation">
+                <p className="key-backup-saved">
+                    Key rotated. Your reputation moved to the new key; old backups no longer work, so download a new one.
+                </p>
+                <KeyBackup publicKey={newPublicKey} />
+                <button className="key-backup-btn" onClick={() => onRotated(newPublicKey)}>
+                    Continue <ArrowRight size={16} />
+                </button>
+            </div>
+        );
+    }
+
+    if (!open) {
+        return (
+            <button className="key-rotation-toggle" onClick={() => setOpen(true)}>
+                <RefreshCw size={14} /> Rotate key...
+            </button>
+        );
+    }
+
+    return (
+        <form className="key-backup key-rotation" onSubmit={handleSubmit}>
+            <p className="key-backup-hint">
+                Think your key leaked? Rotating creates a new key, moves your reputation to it and retires the old one.
+                Choose the passphrase that will unlock the new key on this device.
+            </p>
+            <input
+                type="password"
+                className="key-backup-input"
+                placeholder={`New passphrase (min ${MIN_PASSPHRASE_LENGTH} characters)`}
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                autoComplete="new-password"
+            />
+            <input
+                type="password"
+                className="key-backup-input"
+                placeholder="Confirm passphrase"
+                value={confirm}
+                onChange={(e) => setConfirm(e.target.value)}
+                autoComplete="new-password"
+            />
+            {error && <p className="key-backup-error">{error}</p>}
+            <button
+                type="submit"
+                className="key-backup-btn"
+                disabled={working || passphrase.length < MIN_PASSPHRASE_LENGTH || !confirm}
+            >
+                <RefreshCw size={16} />
+                {working ? 'Rotating...' : 'Rotate key'}
+            </button>
+        </form>
+    );
+};
+
+export default KeyRotation;
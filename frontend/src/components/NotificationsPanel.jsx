@@ -0,0 +1,105 @@
+import React from 'react';
+import { CheckCircle, XCircle, MessageSquare, CornerDownRight, AlertTriangle, Eye, EyeOff, X } from 'lucide-react';
+import './NotificationsPanel.css';
+
+const REPORT_REASON_LABELS = {
+    doxxing: 'doxxing',
+    harassment: 'harassment',
+    spam: 'spam',
+    illegal_content: 'illegal content',
+    personal_info: 'personal info'
+};
+
+const formatDelta = (delta) => `${delta > 0 ? '+' : ''}${Math.round(delta * 100) / 100} rep`;
+
+// Icon and one-line message for each notification type
+const describe = (n) => {
+    const rumor = `rumor #${n.rumor_id}`;
+    switch (n.type) {
+        case 'rumor_finalized': {
+            const verdict = n.data.outcome ? 'verified' : 'debunked';
+            if (n.data.role === 'creator') {
+                return {
+                    icon: n.data.outcome ? <CheckCircle size={16} /> : <XCircle size={16} />,
+                    tone: n.data.outcome ? 'good' : 'bad',
+                    text: `Your ${rumor} was ${verdict} (${formatDelta(n.data.delta)})`
+                };
+            }
+            return {
+                icon: n.data.correct ? <CheckCircle size={16} /> : <XCircle size={16} />,
+                tone: n.data.correct ? 'good' : 'bad',
+                text: `The ${rumor} you voted on was ${verdict}. You were ${n.data.correct ? 'right' : 'wrong'} (${formatDelta(n.data.delta)})`
+            };
+        }
+        case 'rumor_comment':
+            return { icon: <MessageSquare size={16} />, text: `New comment on your ${rumor}` };
+        case 'comment_reply':
+            return { icon: <CornerDownRight size={16} />, text: `Someone replied to your comment on ${rumor}` };
+        case 'rumor_reported':
+            return {
+                icon: <AlertTriangle size={16} />,
+                tone: 'bad',
+                text: `Your ${rumor} was reported for ${REPORT_REASON_LABELS[n.data.reason] || n.data.reason}`
+            };
+        case 'rumor_hidden':
+            return {
+                icon: <EyeOff size={16} />,
+                tone: 'bad',
+                text: `Your ${rumor} was hidden pending review${n.data.reason ? `: ${n.data.reason}` : ''}`
+            };
+        case 'watch_new_rumor':
+            return { icon: <Eye size={16} />, text: `New ${rumor} in ${n.data.category}, a category you watch` };
+        case 'watch_comment':
+            return { icon: <Eye size={16} />, text: `New comment on ${rumor}, which you watch` };
+        case 'watch_finalized':
+            return {
+                icon: <Eye size={16} />,
+                tone: n.data.outcome ? 'good' : 'bad',
+                text: `The ${rumor} you watch was ${n.data.outcome ? 'verified' : 'debunked'}`
+            };
+        default:
+            return { icon: <MessageSquare size={16} />, text: `Update on ${rumor}` };
+    }
+};
+
+const NotificationsPanel = ({ notifications, unreadCount, onMarkRead, onClose }) => (
+    <div className="notifications-panel glass-panel swing-in">
+        <div className="notifications-header">
+            <span className="notifications-title">Notifications</span>
+            {unreadCount > 0 && (
+                <button className="notifications-mark-all" onClick={() => onMarkRead(null)}>
+                    Mark all read
+                </button>
+            )}
+            <button className="notifications-close" onClick={onClose} title="Close">
+                <X size={16} />
+            </button>
+        </div>
+
+        {notifications.length === 0 ? (
+            <div className="notifications-empty">Nothing yet. Vote or post to hear back here.</div>
+        ) : (
+            <ul className="notifications-list">
+                {notifications.map(n => {
+                    const { icon, tone, text } = describe(n);
+                    return (
+                        <li
+                            key={n.id}
+                            className={`notification-item ${n.read_at ? '' : 'unread'} ${tone || ''}`}
+                            onClick={() => !n.read_at && onMarkRead([n.id])}
+                        >
+                            <span className="notification-icon">{icon}</span>
+                            <div className="notification-body">
+                                <p className="notification-text">{text}</p>
+                                {n.rumor_excerpt && <p className="notification-excerpt">“{n.rumor_excerpt}”</p>}
+                                <span className="notification-time">{new Date(n.created_at).toLocaleString()}</span>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        )}
+    </div>
+);
+
+export default NotificationsPanel;
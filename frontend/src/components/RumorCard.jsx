@@ -1,11 +1,24 @@
 import React, { useState } from 'react';
-import { MessageSquare, Clock, ThumbsUp, ThumbsDown, AlertTriangle, CheckCircle, XCircle } from 'lucide-react';
+import { MessageSquare, Clock, ThumbsUp, ThumbsDown, AlertTriangle, CheckCircle, XCircle, Eye } from 'lucide-react';
 import CommentsSection from './CommentsSection';
-import { vote as voteAPI, getStoredKeys, getRumorScore, deleteRumor } from '../services/api';
+import { vote as voteAPI, changeVote, getStoredKeys, getRumorScore, deleteRumor, getMediaUrl, reportContent } from '../services/api';
+import { withSigningKey } from '../services/keySession';
+import { useLiveEvents } from '../services/liveEvents';
+import { useCategories } from '../services/categories';
 import './RumorCard.css';
 
-const RumorCard = ({ humor, onVote, onDelete }) => {
-    const [localVote, setLocalVote] = useState(null);
+const REPORT_REASONS = [
+    { value: 'doxxing', label: 'Doxxing' },
+    { value: 'harassment', label: 'Harassment' },
+    { value: 'spam', label: 'Spam' },
+    { value: 'illegal_content', label: 'Illegal content' },
+    { value: 'personal_info', label: 'Personal info' }
+];
+
+const RumorCard = ({ humor, onVote, onDelete, watching = false, categoryWatched = false, onToggleWatch }) => {
+    const [localVote, setLocalVote] = useState(humor.myVote || null);
+    const [revision, setRevision] = useState(humor.myRevision ?? null); // null = never voted
+    const [isChangingVote, setIsChangingVote] = useState(false);
     const [showScore, setShowScore] = useState(humor.hasVoted || false);
     const [showComments, setShowComments] = useState(false);
     const [score, setScore] = useState(humor.initialScore || 50);
@@ -15,6 +28,12 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
     const [isVoting, setIsVoting] = useState(false);
     const [isDeleting, setIsDeleting] = useState(false);
     const [commentCount, setCommentCount] = useState(humor.comments || 0);
+    const [showReportMenu, setShowReportMenu] = useState(false);
+    const [isReporting, setIsReporting] = useState(false);
+    const [reported, setReported] = useState(false);
+    const [isTogglingWatch, setIsTogglingWatch] = useState(false);
+    const categories = useCategories();
+    const categoryLabel = categories.find(c => c.slug === humor.category)?.label ?? humor.category;
 
     // Check expiration on mount
     React.useEffect(() => {
@@ -24,6 +43,28 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
         }
     }, [humor.isExpired]);
 
+    // Live counts and results. A count event never re-fetches the score before
+    // the deadline: the count and the score moving together would show which
+    // way that one vote went. The score updates on this viewer's own votes,
+    // on reload and when the rumor finalizes.
+    useLiveEvents({
+        'vote-count-changed': ({ rumor_id, vote_count }) => {
+            if (rumor_id === humor.id) setVoteCount(vote_count);
+        },
+        'comment-added': ({ rumor_id, comment_count }) => {
+            // An open comments section reloads and reports its own count
+            if (rumor_id === humor.id && !showComments) setCommentCount(comment_count);
+        },
+        'rumor-finalized': ({ rumor_id, trust_score, total_votes }) => {
+            if (rumor_id !== humor.id) return;
+            setIsExpired(true);
+            setIsChangingVote(false);
+            setScore(Math.round(trust_score));
+            setVoteCount(total_votes);
+            setShowScore(true);
+        }
+    });
+
     const handleVote = async (voteType) => {
         if (localVote || isExpired || isVoting) return;
         
@@ -36,10 +77,14 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
                 throw new Error('Please register first');
             }
 
-            await voteAPI(keys.publicKey, keys.privateKey, humor.id, voteType === 'true');
+            // First vote, or a new revision after a retraction
+            const result = await withSigningKey(privateKey => revision === null
+                ? voteAPI(keys.publicKey, privateKey, humor.id, voteType === 'true')
+                : changeVote(keys.publicKey, privateKey, humor.id, voteType === 'true', revision + 1));
+            setRevision(result.revision);
             
             setLocalVote(voteType);
-            setVoteCount(prev => prev + 1);
+            setVoteCount(result.vote_count);
             
             // Fetch updated score after voting (pass our key for FR3.4)
             const scoreData = await getRumorScore(humor.id, keys.publicKey);
@@ -55,6 +100,48 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
         }
     };
 
+    // Switch sides (voteType) or retract (null) before the deadline
+    const handleChangeVote = async (voteType) => {
+        if (isExpired || isVoting || revision === null) return;
+
+        setIsVoting(true);
+        setError('');
+
+        try {
+            const keys = getStoredKeys();
+            if (!keys) {
+                throw new Error('Please register first');
+            }
+
+            const result = await withSigningKey(privateKey => changeVote(
+                keys.publicKey,
+                privateKey,
+                humor.id,
+                voteType === null ? null : voteType === 'true',
+                revision + 1
+            ));
+            setRevision(result.revision);
+            setIsChangingVote(false);
+
+            if (voteType === null) {
+                // Retracted: back to the vote buttons (FR3.4 hides the score again)
+                setLocalVote(null);
+                setShowScore(false);
+                setVoteCount(result.vote_count);
+                return;
+            }
+
+            setLocalVote(voteType);
+            const scoreData = await getRumorScore(humor.id, keys.publicKey);
+            setScore(Math.round(scoreData.trust_score));
+        } catch (err) {
+            setError(err.message || 'Vote change failed');
+            setTimeout(() => setError(''), 3000);
+        } finally {
+            setIsVoting(false);
+        }
+    };
+
     const handleDelete = async () => {
         if (!window.confirm('Are you sure you want to permanently delete this rumor? This action cannot be undone.')) return;
         
@@ -67,7 +154,7 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
                 throw new Error('Please register first');
             }
 
-            await deleteRumor(keys.publicKey, keys.privateKey, humor.id);
+            await withSigningKey(privateKey => deleteRumor(keys.publicKey, privateKey, humor.id));
             
             onDelete && onDelete(humor.id);
         } catch (err) {
@@ -78,6 +165,51 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
         }
     };
 
+    const handleReport = async (reason) => {
+        setIsReporting(true);
+        setError('');
+
+        try {
+            const keys = getStoredKeys();
+            if (!keys) {
+                throw new Error('Please register first');
+            }
+
+            const result = await withSigningKey(privateKey => reportContent(keys.publicKey, privateKey, 'rumor', humor.id, reason));
+            setReported(true);
+            setShowReportMenu(false);
+
+            // Hidden pending review: drop it from the feed like a deleted rumor
+            if (result.hidden) {
+                onDelete && onDelete(humor.id);
+            }
+        } catch (err) {
+            if (err.message === 'Already reported') {
+                setReported(true);
+                setShowReportMenu(false);
+            } else {
+                setError(err.message || 'Report failed');
+                setTimeout(() => setError(''), 3000);
+            }
+        } finally {
+            setIsReporting(false);
+        }
+    };
+
+    // Watch this rumor ('rumor') or everything in its category ('category')
+    const handleToggleWatch = async (targetType) => {
+        if (!onToggleWatch || isTogglingWatch) return;
+        setIsTogglingWatch(true);
+        try {
+            await onToggleWatch(targetType, targetType === 'rumor' ? humor.id : humor.category);
+        } catch (err) {
+            setError(err.message || 'Could not update watch list');
+            setTimeout(() => setError(''), 3000);
+        } finally {
+            setIsTogglingWatch(false);
+        }
+    };
+
     // Check if current user is the creator
     const isOwnRumor = () => {
         const keys = getStoredKeys();
@@ -140,17 +272,23 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
                 <div className="rumor-meta">
                     <span className="rumor-id">ID: #{humor.id}</span>
                     {humor.category && (
-                        <span className="rumor-category" style={{
-                            background: 'rgba(0, 255, 255, 0.1)',
-                            border: '1px solid rgba(0, 255, 255, 0.3)',
-                            padding: '1px 8px',
-                            borderRadius: '12px',
-                            fontSize: '11px',
-                            color: 'var(--accent-cyan, #00e5ff)',
-                            marginLeft: '6px'
-                        }}>
-                            {humor.category}
-                        </span>
+                        <button
+                            className={`rumor-category ${categoryWatched ? 'watched' : ''}`}
+                            onClick={() => handleToggleWatch('category')}
+                            disabled={isTogglingWatch}
+                            title={categoryWatched ? 'Stop watching this category' : 'Watch this category'}
+                            style={{
+                                background: 'rgba(0, 255, 255, 0.1)',
+                                border: '1px solid rgba(0, 255, 255, 0.3)',
+                                padding: '1px 8px',
+                                borderRadius: '12px',
+                                fontSize: '11px',
+                                color: 'var(--accent-cyan, #00e5ff)',
+                                marginLeft: '6px'
+                            }}
+                        >
+                            {categoryWatched && <Eye size={10} />} {categoryLabel}
+                        </button>
                     )}
                     <span className={`rumor-time ${isExpired ? 'expired' : ''}`}>
                         <Clock size={14} /> {getTimeRemaining()}
@@ -183,9 +321,16 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
 
             <div className="rumor-content">
                 <p>{humor.content}</p>
-                {humor.image && (
-                    <div className="rumor-image">
-                        <img src={humor.image} alt="Rumor evidence" />
+                {humor.images?.length > 0 && (
+                    <div className={`rumor-image ${humor.images.length > 1 ? 'multi' : ''}`}>
+                        {humor.images.map(mediaId => (
+                            <img
+                                key={mediaId}
+                                src={getMediaUrl(mediaId, humor.images.length > 1)}
+                                alt="Rumor evidence"
+                                onClick={() => window.open(getMediaUrl(mediaId), '_blank', 'noopener')}
+                            />
+                        ))}
                     </div>
                 )}
             </div>
@@ -225,6 +370,37 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
                                 ) : (
                                     <span className="status-badge dispute"><XCircle size={14} /> You Disputed</span>
                                 )}
+                                {localVote && revision !== null && (
+                                    isChangingVote ? (
+                                        <span className="change-vote-options">
+                                            <button
+                                                className="change-vote-btn"
+                                                onClick={() => handleChangeVote(localVote === 'true' ? 'false' : 'true')}
+                                                disabled={isVoting}
+                                            >
+                                                {localVote === 'true' ? 'Switch to Dispute' : 'Switch to Confirm'}
+                                            </button>
+                                            <button
+                                                className="change-vote-btn"
+                                                onClick={() => handleChangeVote(null)}
+                                                disabled={isVoting}
+                                            >
+                                                Retract
+                                            </button>
+                                            <button
+                                                className="change-vote-btn"
+                                                onClick={() => setIsChangingVote(false)}
+                                                disabled={isVoting}
+                                            >
+                                                Cancel
+                                            </button>
+                                        </span>
+                                    ) : (
+                                        <button className="change-vote-btn" onClick={() => setIsChangingVote(true)}>
+                                            Change vote
+                                        </button>
+                                    )
+                                )}
                             </div>
                         )}
                     </div>
@@ -240,9 +416,42 @@ const RumorCard = ({ humor, onVote, onDelete }) => {
                     {commentCount} Comments
                 </button>
 
-                <button className="report-trigger">
-                    <AlertTriangle size={16} />
+                <button
+                    className={`watch-trigger ${watching ? 'active' : ''}`}
+                    onClick={() => handleToggleWatch('rumor')}
+                    disabled={isTogglingWatch}
+                    title={watching ? 'Stop watching this rumor' : 'Get notified about comments and the result'}
+                >
+                    <Eye size={16} />
+                    {watching ? 'Watching' : 'Watch'}
                 </button>
+
+                <div className="report-wrapper">
+                    <button
+                        className={`report-trigger ${reported ? 'reported' : ''}`}
+                        onClick={() => setShowReportMenu(!showReportMenu)}
+                        disabled={reported}
+                        title={reported ? 'You reported this rumor' : 'Report this rumor'}
+                    >
+                        <AlertTriangle size={16} />
+                        {reported && 'Reported'}
+                    </button>
+                    {showReportMenu && (
+                        <div className="report-menu swing-in">
+                            <span className="report-menu-title">Report for</span>
+                            {REPORT_REASONS.map(r => (
+                                <button
+                                    key={r.value}
+                                    className="report-reason"
+                                    onClick={() => handleReport(r.value)}
+                                    disabled={isReporting}
+                                >
+                                    {r.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
             </div>
 
             {showComments && (
@@ -0,0 +1,32 @@
+import React from 'react';
+import { ShieldAlert } from 'lucide-react';
+import './ScreeningWarnings.css';
+
+const OUTCOME_TEXT = {
+    block: "This can't be posted until the personal information below is removed.",
+    review: 'This will be hidden until a moderator reviews it.',
+    redact: 'These details will be redacted when posted.'
+};
+
+// Inline PII screening reasons for a draft (text is the exact screened text)
+const ScreeningWarnings = ({ screening, text }) => {
+    if (!screening || screening.outcome === 'allow') return null;
+
+    return (
+        <div className={`screening-warnings ${screening.outcome}`}>
+            <div className="screening-summary">
+                <ShieldAlert size={14} /> {OUTCOME_TEXT[screening.outcome]}
+            </div>
+            <ul>
+                {screening.reasons.map(reason => (
+                    <li key={`${reason.rule}-${reason.start}`} className={reason.action}>
+                        <span className="screening-match">"{text.slice(reason.start, reason.end)}"</span>
+                        {' '}{reason.message}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default ScreeningWarnings;
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { Lock, ShieldAlert } from 'lucide-react';
+import { useSession, unlockSession, protectLegacyKey, requestUnlock, cancelUnlock, IDLE_TIMEOUT_MS } from '../services/keySession';
+import { MIN_PASSPHRASE_LENGTH } from '../services/keyBackup';
+import './UnlockPrompt.css';
+
+// Passphrase dialog shown whenever something needs the signing key while the
+// session is locked. Also asks users with a plaintext key from an older
+// version to protect it with a passphrase.
+const UnlockPrompt = () => {
+    const { unlockRequested, needsSetup } = useSession();
+    const [passphrase, setPassphrase] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [working, setWorking] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (needsSetup) requestUnlock().catch(() => {});
+    }, [needsSetup]);
+
+    if (!unlockRequested) return null;
+
+    const close = () => {
+        setPassphrase('');
+        setConfirm('');
+        setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (needsSetup && passphrase !== confirm) {
+            setError('Passphrases do not match');
+            return;
+        }
+        setWorking(true);
+        setError('');
+        try {
+            // Let the button repaint before scrypt ties up the main thread
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (needsSetup) {
+                await protectLegacyKey(passphrase);
+            } else {
+                await unlockSession(passphrase);
+            }
+            close();
+        } catch (err) {
+            setError(err.message || 'Unlock failed');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleCancel = () => {
+        close();
+        cancelUnlock();
+    };
+
+    const idleMinutes = Math.round(IDLE_TIMEOUT_MS / 60000);
+
+    return (
+        <div className="unlock-overlay">
+            <form className="unlock-dialog glass-panel" onSubmit={handleSubmit}>
+                <h3 className="unlock-title">
+                    {needsSetup ? <ShieldAlert size={18} /> : <Lock size={18} />}
+                    {needsSetup ? 'Protect your identity' : 'Unlock your identity'}
+                </h3>
+                <p className="unlock-hint">
+                    {needsSetup
+                        ? 'Your private key is stored unencrypted on this device. Choose a passphrase to encrypt it.'
+                        : `Enter your passphrase to sign. The key locks again after ${idleMinutes} minutes without signing.`}
+                </p>
+                <input
+                    type="password"
+                    className="unlock-input"
+                    placeholder={needsSetup ? `New passphrase (min ${MIN_PASSPHRASE_LENGTH} characters)` : 'Passphrase'}
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    autoComplete={needsSetup ? 'new-password' : 'current-password'}
+                    autoFocus
+                />
+                {needsSetup && (
+                    <input
+                        type="password"
+                        className="unlock-input"
+                        placeholder="Confirm passphrase"
+                        value={confirm}
+                        onChange={(e) => setConfirm(e.target.value)}
+                        autoComplete="new-password"
+                    />
+                )}
+                {error && <p className="unlock-error">{error}</p>}
+                <div className="unlock-actions">
+                    <button type="button" className="unlock-cancel" onClick={handleCancel}>
+                        {needsSetup ? 'Later' : 'Cancel'}
+                    </button>
+                    <button type="submit" className="unlock-submit" disabled={working || !passphrase}>
+                        {working ? 'Working...' : needsSetup ? 'Encrypt key' : 'Unlock'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default UnlockPrompt;
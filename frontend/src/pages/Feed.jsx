@@ -1,88 +1,190 @@
-import React, { useState, useEffect } from 'react';
-import { Plus, Bell, Search, CheckCircle, Flame, Clock } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Plus, Bell, Search, CheckCircle, Flame, Clock, Eye, X, KeyRound, Lock, LockOpen } from 'lucide-react';
 import RumorCard from '../components/RumorCard';
 import CreatePostModal from '../components/CreatePostModal';
-import { getRumors, getRumorScore, getStoredKeys, getReputation } from '../services/api';
+import NotificationsPanel from '../components/NotificationsPanel';
+import KeyBackup from '../components/KeyBackup';
+import KeyRotation from '../components/KeyRotation';
+import { getRumors, getViewerRumors, getWatchedRumors, getStoredKeys, getReputation, getReputationHistory } from '../services/api';
+import { useLiveEvents } from '../services/liveEvents';
+import { useNotifications } from '../services/notifications';
+import { useWatches } from '../services/watches';
+import { useCategories } from '../services/categories';
+import { withSigningKey, getUnlockedKey, useSession, lockSession, requestUnlock } from '../services/keySession';
 import './Feed.css';
 
-const Feed = ({ userId }) => {
+// Server-side feed query for each tab
+const TAB_QUERIES = {
+    trending: { status: 'active', sort: 'votes' },
+    new: { status: 'active', sort: 'newest' },
+    verified: { status: 'finalized', sort: 'newest' },
+    watching: { sort: 'newest' } // Signed request, see getWatchedRumors
+};
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Transform backend data to frontend format. The list route already carries
+// the viewer's vote and, once FR3.4 allows it, the score.
+const toFeedRumor = (rumor) => {
+    const deadlineTime = new Date(rumor.deadline).getTime();
+
+    return {
+        id: rumor.id,
+        content: rumor.content,
+        images: (rumor.media || []).map(m => m.id),
+        category: rumor.category || null,
+        creatorKey: rumor.creator_public_key,
+        votes: parseInt(rumor.vote_count) || 0,
+        initialScore: rumor.can_view ? Math.round(rumor.trust_score) : 50,
+        hasVoted: rumor.can_view, // Voted, or finalized
+        myVote: rumor.has_voted ? (rumor.viewer_vote ? 'true' : 'false') : null,
+        myRevision: rumor.viewer_revision ?? null, // Kept after a retraction
+        comments: parseInt(rumor.comment_count) || 0,
+        timestamp: new Date(rumor.created_at).getTime(),
+        deadline: deadlineTime,
+        isExpired: Date.now() > deadlineTime
+    };
+};
+
+// Tiny sparkline of reputation over time (daily points from the reputation ledger)
+const ReputationTrend = ({ history }) => {
+    if (history.length < 2) return null;
+
+    const values = [0, ...history.map(h => h.reputation)];
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const points = values.map((v, i) =>
+        `${(i / (values.length - 1)) * 48},${14 - ((v - min) / range) * 12}`
+    ).join(' ');
+    const rising = values[values.length - 1] >= values[values.length - 2];
+
+    return (
+        <svg className="rep-trend" width="50" height="16" viewBox="0 0 50 16">
+            <polyline
+                points={points}
+                fill="none"
+                stroke={rising ? 'var(--accent-green, #4caf50)' : 'var(--accent-pink, #ff4081)'}
+                strokeWidth="1.5"
+            />
+        </svg>
+    );
+};
+
+const Feed = ({ userId, onIdentityChange }) => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [activeTab, setActiveTab] = useState('trending');
     const [rumors, setRumors] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [error, setError] = useState('');
+    const [searchInput, setSearchInput] = useState('');
+    const [searchQuery, setSearchQuery] = useState('');
+    const [categoryFilter, setCategoryFilter] = useState(''); // '' = all categories
+    const categories = useCategories();
     const [reputation, setReputation] = useState(null);
+    const [reputationHistory, setReputationHistory] = useState([]);
+    const [showNotifications, setShowNotifications] = useState(false);
+    const [showKeyBackup, setShowKeyBackup] = useState(false);
+    const { unlocked } = useSession();
+    const { notifications, unreadCount, refresh: refreshNotifications, markRead } = useNotifications();
+    const { categories: watchedCategories, isWatching, toggleWatch } = useWatches();
+    const requestIdRef = useRef(0);
+    const sentinelRef = useRef(null);
 
-    // Load rumors from backend
     useEffect(() => {
-        loadRumors();
         loadReputation();
     }, []);
 
+    // Debounce the search box into the query sent to the server
+    useEffect(() => {
+        const timer = setTimeout(() => setSearchQuery(searchInput.trim()), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [searchInput]);
+
     const loadReputation = async () => {
         try {
             const keys = getStoredKeys();
             if (keys) {
                 const data = await getReputation(keys.publicKey);
                 setReputation(data.reputation);
+                const history = await getReputationHistory(keys.publicKey);
+                setReputationHistory(history.history);
             }
         } catch {
             // Reputation not available yet (no finalized votes)
         }
     };
 
-    const loadRumors = async () => {
+    // Load one page of rumors. Without a cursor the list starts over.
+    const loadRumors = useCallback(async (cursor = null) => {
+        // Responses for an outdated tab or search are dropped
+        const requestId = cursor ? requestIdRef.current : ++requestIdRef.current;
         try {
-            setLoading(true);
+            if (cursor) {
+                setLoadingMore(true);
+            } else {
+                setLoading(true);
+            }
             setError('');
-            const data = await getRumors();
-            
-            // Transform backend data to frontend format
             const keys = getStoredKeys();
-            const transformedRumors = await Promise.all(data.map(async (rumor) => {
-                const deadlineTime = new Date(rumor.deadline).getTime();
-                const now = Date.now();
-                const isExpired = now > deadlineTime;
-                
-                let scoreValue = 50;
-                let hasVoted = false;
-                
-                try {
-                    // Pass voter public key so backend can enforce FR3.4
-                    const scoreData = await getRumorScore(rumor.id, keys?.publicKey);
-                    scoreValue = Math.round(scoreData.trust_score);
-                    hasVoted = true; // If we got the score, we've voted (or it's finalized)
-                } catch {
-                    // 403 = haven't voted yet (FR3.4), or other error — default to 50
-                    hasVoted = false;
-                }
-                
-                return {
-                    id: rumor.id,
-                    content: rumor.content,
-                    category: rumor.category || null,
-                    creatorKey: rumor.creator_public_key,
-                    votes: parseInt(rumor.vote_count) || 0,
-                    initialScore: scoreValue,
-                    hasVoted,
-                    comments: parseInt(rumor.comment_count) || 0,
-                    timestamp: new Date(rumor.created_at).getTime(),
-                    deadline: deadlineTime,
-                    isExpired
-                };
-            }));
-            
-            setRumors(transformedRumors);
+            const filters = { ...TAB_QUERIES[activeTab], q: searchQuery, category: categoryFilter, cursor };
+            let data;
+            if (activeTab === 'watching') {
+                data = keys
+                    ? await withSigningKey(privateKey => getWatchedRumors(keys.publicKey, privateKey, filters))
+                    : { rumors: [], next_cursor: null };
+            } else {
+                // The viewer's votes and scores need a signature; while the
+                // session is locked the feed shows public data only
+                const privateKey = unlocked ? getUnlockedKey() : null;
+                data = keys && privateKey
+                    ? await getViewerRumors(keys.publicKey, privateKey, filters)
+                    : await getRumors(filters);
+            }
+            const page = data.rumors.map(toFeedRumor);
+            if (requestId !== requestIdRef.current) return;
+
+            setRumors(prev => cursor ? [...prev, ...page.filter(r => !prev.some(p => p.id === r.id))] : page);
+            setNextCursor(data.next_cursor);
         } catch (err) {
-            setError(err.message || 'Failed to load rumors');
+            if (requestId === requestIdRef.current) {
+                setError(err.message || 'Failed to load rumors');
+            }
         } finally {
-            setLoading(false);
+            if (requestId === requestIdRef.current) {
+                setLoading(false);
+                setLoadingMore(false);
+            }
         }
-    };
+    }, [activeTab, searchQuery, categoryFilter, unlocked]);
+
+    // Reload from the first page whenever the tab, search, category or lock state changes
+    useEffect(() => {
+        loadRumors();
+    }, [loadRumors]);
+
+    // Infinite scroll: fetch the next page when the sentinel comes into view
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !nextCursor || loading || loadingMore || error) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) {
+                loadRumors(nextCursor);
+            }
+        }, { rootMargin: '200px' });
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [nextCursor, loading, loadingMore, error, loadRumors]);
 
-    const handleNewPost = async (postData) => {
-        // Reload rumors after submission
-        await loadRumors();
+    const handleNewPost = async () => {
+        // Show the new submission at the top of the New tab
+        if (activeTab === 'new' && !searchQuery) {
+            await loadRumors();
+        }
+        setSearchInput('');
         setActiveTab('new');
     };
 
@@ -90,23 +192,31 @@ const Feed = ({ userId }) => {
         setRumors(prev => prev.filter(rumor => rumor.id !== rumorId));
     };
 
-    const getFilteredRumors = () => {
-        const now = Date.now();
-
-        switch (activeTab) {
-            case 'new':
-                // Recently added, not expired
-                return rumors.filter(r => now <= r.deadline).sort((a, b) => b.timestamp - a.timestamp);
-            case 'verified':
-                // Expired items (results finalized) — show all completed rumors
-                return rumors.filter(r => now > r.deadline).sort((a, b) => b.timestamp - a.timestamp);
-            case 'trending':
-            default:
-                // Active items, sorted by votes
-                return rumors.filter(r => now <= r.deadline).sort((a, b) => b.votes - a.votes);
+    // Watch or unwatch a rumor id or category. In the Watching tab, rumors
+    // that no longer match the watch list drop out.
+    const handleToggleWatch = async (targetType, target) => {
+        const watching = await toggleWatch(targetType, target);
+        if (!watching && activeTab === 'watching') {
+            setRumors(prev => prev.filter(r => targetType === 'rumor'
+                ? r.id !== target || (r.category && isWatching('category', r.category))
+                : r.category !== target || isWatching('rumor', r.id)));
         }
+        return watching;
     };
 
+    // New rumors slot into the top of the New tab (and Watching, for watched
+    // categories); other tabs pick them up on their next load. Counts and
+    // results are updated by each card.
+    useLiveEvents({
+        'rumor-created': ({ rumor }) => {
+            const watched = activeTab === 'watching' && isWatching('category', rumor.category);
+            if ((activeTab !== 'new' && !watched) || searchQuery || loading) return;
+            if (categoryFilter && rumor.category !== categoryFilter) return;
+            setRumors(prev => prev.some(r => r.id === rumor.id) ? prev : [toFeedRumor(rumor), ...prev]);
+        },
+        'rumor-deleted': ({ rumor_id }) => handleDeleteRumor(rumor_id)
+    });
+
     return (
         <div className="feed-layout">
             <header className="feed-header glass-panel">
@@ -137,63 +247,173 @@ const Feed = ({ userId }) => {
                             <span className="user-id" style={{color: reputation > 0 ? 'var(--accent-green, #4caf50)' : reputation < 0 ? 'var(--accent-pink, #ff4081)' : 'inherit'}}>
                                 {reputation}
                             </span>
+                            <ReputationTrend history={reputationHistory} />
                         </div>
                     )}
-                    <button className="icon-btn" title="Notifications">
-                        <Bell size={20} />
-                        <span className="notification-dot"></span>
+                    <button
+                        className="icon-btn"
+                        title={unlocked ? 'Signing unlocked - click to lock' : 'Signing locked - click to unlock'}
+                        onClick={() => unlocked ? lockSession() : requestUnlock().catch(() => {})}
+                    >
+                        {unlocked ? <LockOpen size={20} /> : <Lock size={20} />}
                     </button>
+                    <div className="key-backup-wrapper">
+                        <button
+                            className="icon-btn"
+                            title="Back up your identity"
+                            onClick={() => setShowKeyBackup(!showKeyBackup)}
+                        >
+                            <KeyRound size={20} />
+                        </button>
+                        {showKeyBackup && (
+                            <div className="key-backup-panel">
+                                <div className="key-backup-panel-header">
+                                    <span>Back up identity</span>
+                                    <button className="icon-btn" onClick={() => setShowKeyBackup(false)}>
+                                        <X size={16} />
+                                    </button>
+                                </div>
+                                <KeyBackup publicKey={getStoredKeys()?.publicKey} />
+                                <KeyRotation publicKey={getStoredKeys()?.publicKey} onRotated={onIdentityChange} />
+                            </div>
+                        )}
+                    </div>
+                    <div className="notifications-wrapper">
+                        <button
+                            className="icon-btn"
+                            title="Notifications"
+                            onClick={() => {
+                                if (!showNotifications) refreshNotifications();
+                                setShowNotifications(!showNotifications);
+                            }}
+                        >
+                            <Bell size={20} />
+                            {unreadCount > 0 && (
+                                <span className="notification-count">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                            )}
+                        </button>
+                        {showNotifications && (
+                            <NotificationsPanel
+                                notifications={notifications}
+                                unreadCount={unreadCount}
+                                onMarkRead={markRead}
+                                onClose={() => setShowNotifications(false)}
+                            />
+                        )}
+                    </div>
                 </div>
             </header>
 
             <main className="feed-content container">
-                {loading ? (
-                    <div className="loading">Loading rumors...</div>
-                ) : error ? (
-                    <div className="error">{error}</div>
-                ) : (
-                    <>
-                        <div className="feed-controls">
-                            <div className="search-bar">
-                                <Search size={18} className="search-icon" />
-                                <input type="text" placeholder="Search rumors..." />
-                            </div>
-                            <div className="filter-tabs">
-                                <button
-                                    className={`filter-tab ${activeTab === 'trending' ? 'active' : ''}`}
-                                    onClick={() => setActiveTab('trending')}
-                                >
-                                    <Flame size={14} style={{ marginRight: 4 }} /> Trending
-                                </button>
+                <div className="feed-controls">
+                    <div className="search-bar">
+                        <Search size={18} className="search-icon" />
+                        <input
+                            type="text"
+                            placeholder="Search rumors..."
+                            value={searchInput}
+                            onChange={(e) => setSearchInput(e.target.value)}
+                        />
+                    </div>
+                    <div className="filter-tabs">
+                        <button
+                            className={`filter-tab ${activeTab === 'trending' ? 'active' : ''}`}
+                            onClick={() => setActiveTab('trending')}
+                        >
+                            <Flame size={14} style={{ marginRight: 4 }} /> Trending
+                        </button>
+                        <button
+                            className={`filter-tab ${activeTab === 'new' ? 'active' : ''}`}
+                            onClick={() => setActiveTab('new')}
+                        >
+                            <Clock size={14} style={{ marginRight: 4 }} /> New
+                        </button>
+                        <button
+                            className={`filter-tab ${activeTab === 'verified' ? 'active' : ''}`}
+                            onClick={() => setActiveTab('verified')}
+                        >
+                            <CheckCircle size={14} style={{ marginRight: 4 }} /> Verified Results
+                        </button>
+                        <button
+                            className={`filter-tab ${activeTab === 'watching' ? 'active' : ''}`}
+                            onClick={() => setActiveTab('watching')}
+                        >
+                            <Eye size={14} style={{ marginRight: 4 }} /> Watching
+                        </button>
+                    </div>
+                    {categories.length > 0 && (
+                        <div className="category-chips">
+                            <button
+                                className={`category-chip ${categoryFilter === '' ? 'active' : ''}`}
+                                onClick={() => setCategoryFilter('')}
+                            >
+                                All
+                            </button>
+                            {categories.map(c => (
                                 <button
-                                    className={`filter-tab ${activeTab === 'new' ? 'active' : ''}`}
-                                    onClick={() => setActiveTab('new')}
+                                    key={c.slug}
+                                    className={`category-chip ${categoryFilter === c.slug ? 'active' : ''}`}
+                                    onClick={() => setCategoryFilter(categoryFilter === c.slug ? '' : c.slug)}
+                                    title={c.description || c.label}
                                 >
-                                    <Clock size={14} style={{ marginRight: 4 }} /> New
+                                    {c.label}
                                 </button>
+                            ))}
+                        </div>
+                    )}
+                    {activeTab === 'watching' && watchedCategories.length > 0 && (
+                        <div className="watched-categories">
+                            <span className="watched-label">Categories</span>
+                            {watchedCategories.map(category => (
                                 <button
-                                    className={`filter-tab ${activeTab === 'verified' ? 'active' : ''}`}
-                                    onClick={() => setActiveTab('verified')}
+                                    key={category}
+                                    className="watched-chip"
+                                    title="Stop watching this category"
+                                    onClick={() => handleToggleWatch('category', category).catch(() => {
+                                        // Stays in the list; the user can try again
+                                    })}
                                 >
-                                    <CheckCircle size={14} style={{ marginRight: 4 }} /> Verified Results
+                                    {category} <X size={12} />
                                 </button>
-                            </div>
+                            ))}
                         </div>
+                    )}
+                </div>
 
-                        <div className="rumor-list">
-                            {getFilteredRumors().length > 0 ? (
-                                getFilteredRumors().map(rumor => (
-                                    <RumorCard 
-                                        key={rumor.id} 
-                                        humor={rumor} 
-                                        onDelete={handleDeleteRumor}
-                                    />
-                                ))
-                            ) : (
-                                <div className="empty-state">No rumors in this category yet.</div>
-                            )}
-                        </div>
-                    </>
+                {loading ? (
+                    <div className="loading">Loading rumors...</div>
+                ) : error && rumors.length === 0 ? (
+                    <div className="error">{error}</div>
+                ) : (
+                    <div className="rumor-list">
+                        {rumors.length > 0 ? (
+                            rumors.map(rumor => (
+                                <RumorCard 
+                                    key={rumor.id} 
+                                    humor={rumor} 
+                                    onDelete={handleDeleteRumor}
+                                    watching={isWatching('rumor', rumor.id)}
+                                    categoryWatched={!!rumor.category && isWatching('category', rumor.category)}
+                                    onToggleWatch={handleToggleWatch}
+                                />
+                            ))
+                        ) : (
+                            <div className="empty-state">
+                                {searchQuery
+                                    ? `No rumors match "${searchQuery}".`
+                                    : activeTab === 'watching'
+                                        ? 'Nothing watched yet. Watch a rumor, or tap its category to follow the whole topic.'
+                                        : 'No rumors in this category yet.'}
+                            </div>
+                        )}
+                        {error && rumors.length > 0 && (
+                            <button className="load-more-btn" onClick={() => loadRumors(nextCursor)}>
+                                Couldn't load more — retry
+                            </button>
+                        )}
+                        {loadingMore && <div className="loading">Loading more...</div>}
+                        <div ref={sentinelRef} className="feed-sentinel" />
+                    </div>
                 )}
             </main>
 
@@ -1,9 +1,24 @@
-import React, { useState, useEffect } from 'react';
-import { Fingerprint, ArrowRight, UserPlus, Eye, EyeOff } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Fingerprint, ArrowRight, UserPlus, Eye, EyeOff, Upload, Lock, XCircle } from 'lucide-react';
 import PuzzleCaptcha from '../components/PuzzleCaptcha';
+import KeyBackup from '../components/KeyBackup';
+import ImportIdentity from '../components/ImportIdentity';
 import { generateKeyPair, computePoW, register, storeKeys, getStoredKeys } from '../services/api';
+import { startSession } from '../services/keySession';
+import { MIN_PASSPHRASE_LENGTH } from '../services/keyBackup';
 import './LandingPage.css';
 
+const formatHashRate = (rate) => rate >= 1000000
+    ? `${(rate / 1000000).toFixed(1)}M H/s`
+    : `${Math.round(rate / 1000)}k H/s`;
+
+const formatEta = (seconds) => {
+    if (seconds === null) return 'estimating...';
+    if (seconds < 1) return 'any moment now';
+    if (seconds < 60) return `~${Math.ceil(seconds)}s left`;
+    return `~${Math.ceil(seconds / 60)} min left`;
+};
+
 const LandingPage = ({ onLogin }) => {
     const [captchaVerified, setCaptchaVerified] = useState(false);
     const [privateKeyDisplay, setPrivateKeyDisplay] = useState('');
@@ -12,6 +27,12 @@ const LandingPage = ({ onLogin }) => {
     const [error, setError] = useState('');
     const [progress, setProgress] = useState('');
     const [registered, setRegistered] = useState(false);
+    const [importing, setImporting] = useState(false);
+    const [choosingPassphrase, setChoosingPassphrase] = useState(false);
+    const [powProgress, setPowProgress] = useState(null);
+    const powAbortRef = useRef(null);
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
 
     // Auto-login immediately if keys already exist
     useEffect(() => {
@@ -30,7 +51,13 @@ const LandingPage = ({ onLogin }) => {
         }
     };
 
-    const generateNewId = async () => {
+    const generateNewId = async (e) => {
+        e.preventDefault();
+        if (passphrase !== confirmPassphrase) {
+            setError('Passphrases do not match');
+            return;
+        }
+
         // Block if keys already exist
         const existingKeys = getStoredKeys();
         if (existingKeys) {
@@ -46,27 +73,50 @@ const LandingPage = ({ onLogin }) => {
             setProgress('Generating cryptographic keys...');
             const keys = generateKeyPair();
             
-            // Compute proof of work
-            setProgress('Computing proof-of-work (30-60 seconds)...');
-            const pow = await computePoW(keys.publicKey);
+            // Fetch and solve the server's challenge (in workers, cancellable)
+            setProgress('Computing proof-of-work...');
+            powAbortRef.current = new AbortController();
+            const pow = await computePoW(keys.publicKey, {
+                onProgress: setPowProgress,
+                signal: powAbortRef.current.signal
+            });
+            setPowProgress(null);
             
             // Register with backend
             setProgress('Registering with network...');
-            await register(keys.publicKey, pow.nonce);
+            await register(keys.publicKey, pow);
             
-            // Store keys permanently
-            storeKeys(keys.publicKey, keys.privateKey);
+            // Store keys permanently, encrypted under the passphrase, and
+            // start signed in so the first actions don't ask for it again
+            setProgress('Encrypting your key...');
+            await storeKeys(keys.publicKey, keys.privateKey, passphrase);
+            startSession(keys.publicKey, keys.privateKey);
+            setPassphrase('');
+            setConfirmPassphrase('');
             setPrivateKeyDisplay(keys.privateKey);
             setShowKey(false);
             setRegistered(true);
             setProgress('✅ Registration complete! SAVE YOUR PRIVATE KEY BELOW — then enter the feed.');
         } catch (err) {
-            setError(err.message || 'Registration failed');
+            if (err.name === 'AbortError') {
+                setProgress('');
+            } else {
+                setError(err.message || 'Registration failed');
+            }
         } finally {
+            powAbortRef.current = null;
+            setPowProgress(null);
             setIsGenerating(false);
         }
     };
 
+    const cancelPoW = () => {
+        powAbortRef.current?.abort();
+    };
+
+    // Stop the workers if the page goes away mid-computation
+    useEffect(() => () => powAbortRef.current?.abort(), []);
+
     const enterFeed = () => {
         const keys = getStoredKeys();
         if (keys) {
@@ -100,7 +150,7 @@ const LandingPage = ({ onLogin }) => {
                         {registered && privateKeyDisplay ? (
                             <div className="key-display">
                                 <p style={{fontSize: '12px', color: 'var(--accent-pink)', fontWeight: 'bold', marginBottom: '8px'}}>
-                                    ⚠️ SAVE THIS KEY — it's your only way to recover your account on another device. You will NOT be shown this again.
+                                    ⚠️ BACK UP THIS KEY — it's your only way to recover your account on another device. You will NOT be shown this again.
                                 </p>
                                 <div className="input-group">
                                     <div className="icon-wrapper">
@@ -122,8 +172,9 @@ const LandingPage = ({ onLogin }) => {
                                     </button>
                                 </div>
                                 <p style={{fontSize: '11px', color: 'var(--text-muted)', marginTop: '5px'}}>
-                                    Click the key to copy it. Store it somewhere safe.
+                                    Click the key to copy it, or download an encrypted backup file:
                                 </p>
+                                <KeyBackup publicKey={getStoredKeys()?.publicKey} />
 
                                 <button
                                     className="main-btn"
@@ -133,16 +184,99 @@ const LandingPage = ({ onLogin }) => {
                                     Enter Feed <ArrowRight size={18} />
                                 </button>
                             </div>
+                        ) : importing ? (
+                            <ImportIdentity
+                                onImported={(publicKey) => onLogin(publicKey)}
+                                onCancel={() => setImporting(false)}
+                            />
+                        ) : choosingPassphrase ? (
+                            <form className="login-form" onSubmit={generateNewId}>
+                                <p style={{fontSize: '12px', color: 'var(--text-muted)'}}>
+                                    Choose a passphrase. It encrypts your private key on this device and unlocks it when you sign.
+                                </p>
+                                <div className="input-group">
+                                    <div className="icon-wrapper">
+                                        <Lock size={20} color="var(--accent-cyan)" />
+                                    </div>
+                                    <input
+                                        type="password"
+                                        className="hash-input"
+                                        placeholder={`Passphrase (min ${MIN_PASSPHRASE_LENGTH} characters)`}
+                                        value={passphrase}
+                                        onChange={(e) => setPassphrase(e.target.value)}
+                                        disabled={isGenerating}
+                                        autoComplete="new-password"
+                                    />
+                                </div>
+                                <div className="input-group">
+                                    <div className="icon-wrapper">
+                                        <Lock size={20} color="var(--accent-cyan)" />
+                                    </div>
+                                    <input
+                                        type="password"
+                                        className="hash-input"
+                                        placeholder="Confirm passphrase"
+                                        value={confirmPassphrase}
+                                        onChange={(e) => setConfirmPassphrase(e.target.value)}
+                                        disabled={isGenerating}
+                                        autoComplete="new-password"
+                                    />
+                                </div>
+                                <button
+                                    type="submit"
+                                    className="main-btn"
+                                    disabled={isGenerating || passphrase.length < MIN_PASSPHRASE_LENGTH || !confirmPassphrase}
+                                >
+                                    <UserPlus size={18} />
+                                    {isGenerating ? progress || 'Generating...' : 'Generate New Identity'}
+                                </button>
+                                {powProgress && (
+                                    <div className="pow-progress">
+                                        <div className="pow-bar">
+                                            <div
+                                                className="pow-bar-fill"
+                                                style={{ width: `${Math.min(100, (powProgress.attempts / powProgress.expectedAttempts) * 100)}%` }}
+                                            />
+                                        </div>
+                                        <div className="pow-stats">
+                                            <span>{formatHashRate(powProgress.hashRate)} on {powProgress.workers} threads · difficulty {powProgress.difficulty}</span>
+                                            <span>{formatEta(powProgress.etaSeconds)}</span>
+                                        </div>
+                                        <button type="button" className="secondary-btn" onClick={cancelPoW}>
+                                            <XCircle size={18} style={{ marginRight: '8px' }} />
+                                            Cancel
+                                        </button>
+                                    </div>
+                                )}
+                                {!isGenerating && (
+                                    <button
+                                        type="button"
+                                        className="secondary-btn"
+                                        onClick={() => { setError(''); setChoosingPassphrase(false); }}
+                                    >
+                                        Back
+                                    </button>
+                                )}
+                            </form>
                         ) : (
-                            <button
-                                className="secondary-btn"
-                                onClick={generateNewId}
-                                disabled={isGenerating}
-                                style={{marginTop: '10px'}}
-                            >
-                                <UserPlus size={18} style={{ marginRight: '8px' }} />
-                                {isGenerating ? progress || 'Generating...' : 'Generate New Identity'}
-                            </button>
+                            <>
+                                <button
+                                    className="secondary-btn"
+                                    onClick={() => setChoosingPassphrase(true)}
+                                    style={{marginTop: '10px'}}
+                                >
+                                    <UserPlus size={18} style={{ marginRight: '8px' }} />
+                                    Generate New Identity
+                                </button>
+                                <div className="divider"><span>already have one?</span></div>
+                                <button
+                                    className="secondary-btn"
+                                    onClick={() => { setError(''); setImporting(true); }}
+                                >
+                                    <Upload size={18} style={{ marginRight: '8px' }} />
+                                    Import Identity
+                                </button>
+                            </>
                         )}
                     </div>
                 )}
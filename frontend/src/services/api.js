@@ -6,6 +6,7 @@ const API_BASE = import.meta.env.PROD
 // Crypto helpers (browser-compatible)
 import nacl from 'tweetnacl';
 import { decodeUTF8, encodeBase64, decodeBase64 } from 'tweetnacl-util';
+import { encryptKeyBackup } from './keyBackup';
 
 // Key management
 export const generateKeyPair = () => {
@@ -16,15 +17,67 @@ export const generateKeyPair = () => {
     };
 };
 
+// The secret key is never stored in the clear: storeKeys seals it under the
+// user's passphrase (same format as a backup file) and keySession.js decrypts
+// it into memory when the user unlocks.
 export const getStoredKeys = () => {
     const publicKey = localStorage.getItem('publicKey');
-    const privateKey = localStorage.getItem('privateKey');
-    return publicKey && privateKey ? { publicKey, privateKey } : null;
+    const hasKey = localStorage.getItem('encryptedKey') || localStorage.getItem('privateKey');
+    return publicKey && hasKey ? { publicKey } : null;
 };
 
-export const storeKeys = (publicKey, privateKey) => {
+export const getEncryptedKey = () => {
+    try {
+        return JSON.parse(localStorage.getItem('encryptedKey'));
+    } catch {
+        return null;
+    }
+};
+
+// Plaintext key written by older versions, until the user protects it
+export const getLegacyPrivateKey = () => localStorage.getItem('privateKey');
+
+export const storeKeys = async (publicKey, privateKey, passphrase) => {
+    storeEncryptedKey(publicKey, await encryptKeyBackup(publicKey, privateKey, passphrase));
+};
+
+// Keep an already-encrypted backup as-is, so it unlocks with its own passphrase
+export const storeEncryptedKey = (publicKey, encrypted) => {
     localStorage.setItem('publicKey', publicKey);
-    localStorage.setItem('privateKey', privateKey);
+    localStorage.setItem('encryptedKey', JSON.stringify(encrypted));
+    localStorage.removeItem('privateKey');
+};
+
+// A rotation in flight: the new key is written here (encrypted) before the
+// request is sent, so it survives a lost response or a closed tab.
+// resolvePendingRotation settles it against the server's key lineage.
+export const getPendingRotation = () => {
+    try {
+        return JSON.parse(localStorage.getItem('pendingRotation'));
+    } catch {
+        return null;
+    }
+};
+
+export const storePendingRotation = (publicKey, newPublicKey, encrypted) => {
+    localStorage.setItem('pendingRotation', JSON.stringify({ publicKey, newPublicKey, encrypted }));
+};
+
+export const clearPendingRotation = () => localStorage.removeItem('pendingRotation');
+
+// Returns the new public key if the pending rotation went through (and makes
+// it the stored identity), null if it did not. Throws if the server can't be
+// asked, leaving the pending rotation for the next attempt.
+export const resolvePendingRotation = async () => {
+    const pending = getPendingRotation();
+    if (!pending) return null;
+    const { rotations } = await getKeyLineage(pending.publicKey);
+    const rotated = rotations.some(r => r.old_public_key === pending.publicKey && r.new_public_key === pending.newPublicKey);
+    if (rotated) {
+        storeEncryptedKey(pending.newPublicKey, pending.encrypted);
+    }
+    clearPendingRotation();
+    return rotated ? pending.newPublicKey : null;
 };
 
 export const clearKeys = () => {
@@ -34,29 +87,89 @@ export const clearKeys = () => {
 };
 
 // Proof of Work
-export const computePoW = async (publicKey, difficulty = 4) => {
-    const target = '0'.repeat(difficulty);
-    let nonce = 0;
+// Fetches a signed, expiring challenge from the server, then solves
+// sha256(challenge + publicKey + nonce) at the difficulty the server chose.
+// Solving runs in a pool of Web Workers (one per core, see powWorker.js) so
+// the page stays responsive. onProgress gets { attempts, hashRate,
+// expectedAttempts, etaSeconds, workers, difficulty } a few times a second;
+// aborting `signal` stops the pool and rejects with an AbortError.
+// Resolves with { nonce, hash, attempts, challenge } for register().
+const POW_MAX_WORKERS = 16;
+const POW_PROGRESS_INTERVAL_MS = 250;
 
-    while (true) {
-        const data = publicKey + nonce.toString();
-        const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(data));
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        const hash = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+export const getRegistrationChallenge = async () => {
+    const response = await fetch(`${API_BASE}/register/challenge`);
+    if (!response.ok) throw new Error('Failed to fetch registration challenge');
+    return response.json();
+};
 
-        if (hash.startsWith(target)) {
-            return { nonce, hash };
-        }
-        
-        nonce++;
-        
-        // Update UI every 10k attempts
-        if (nonce % 10000 === 0) {
-            await new Promise(resolve => setTimeout(resolve, 0));
-        }
-    }
+export const computePoW = async (publicKey, { onProgress, signal } = {}) => {
+    const challenge = await getRegistrationChallenge();
+    const solution = await solvePoW(challenge.challenge + publicKey, challenge.difficulty, { onProgress, signal });
+    return { ...solution, challenge };
 };
 
+const solvePoW = (prefix, difficulty, { onProgress, signal }) => new Promise((resolve, reject) => {
+    const poolSize = Math.min(POW_MAX_WORKERS, navigator.hardwareConcurrency || 4);
+    const expectedAttempts = 16 ** difficulty;
+    const startedAt = performance.now();
+    const workers = [];
+    let attempts = 0;
+    let lastProgress = 0;
+
+    const finish = () => {
+        workers.forEach(worker => worker.terminate());
+        signal?.removeEventListener('abort', abort);
+    };
+    function abort() {
+        finish();
+        reject(new DOMException('Proof-of-work cancelled', 'AbortError'));
+    }
+
+    if (signal?.aborted) {
+        abort();
+        return;
+    }
+    signal?.addEventListener('abort', abort);
+
+    const reportProgress = () => {
+        const now = performance.now();
+        if (!onProgress || now - lastProgress < POW_PROGRESS_INTERVAL_MS) return;
+        lastProgress = now;
+        const hashRate = attempts / ((now - startedAt) / 1000);
+        onProgress({
+            attempts,
+            hashRate,
+            expectedAttempts,
+            // Each attempt is an independent 1-in-16^difficulty chance, so this
+            // is only a guide: the answer can turn up earlier or run over
+            etaSeconds: hashRate > 0 ? Math.max(expectedAttempts - attempts, 0) / hashRate : null,
+            workers: poolSize,
+            difficulty
+        });
+    };
+
+    // Worker i tries nonces i, i + poolSize, i + 2*poolSize, ...
+    for (let i = 0; i < poolSize; i++) {
+        const worker = new Worker(new URL('./powWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = ({ data }) => {
+            attempts += data.attempts;
+            if (data.type === 'found') {
+                finish();
+                resolve({ nonce: data.nonce, hash: data.hash, attempts });
+            } else {
+                reportProgress();
+            }
+        };
+        worker.onerror = () => {
+            finish();
+            reject(new Error('Proof-of-work worker failed'));
+        };
+        workers.push(worker);
+        worker.postMessage({ prefix, difficulty, start: i, step: poolSize });
+    }
+});
+
 // Signature generation
 export const signMessage = (message, privateKey) => {
     const privKeyBytes = decodeBase64(privateKey);
@@ -65,12 +178,53 @@ export const signMessage = (message, privateKey) => {
     return encodeBase64(signature);
 };
 
+// Signed action envelopes (must match verifySignedAction on the server)
+const SIGNATURE_VERSION = 'ACR-SIG-v1';
+const SIGNING_DOMAIN = 'anonymous-campus-rumors';
+
+// Hashes a string (UTF-8) or raw bytes
+const sha256Hex = async (data) => {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const randomNonce = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Build and sign an envelope: a fresh timestamp and nonce make every
+// signature single-use, and the content hash binds the exact payload.
+const signAction = async (action, target, payload, privateKey) => {
+    const envelope = {
+        version: SIGNATURE_VERSION,
+        domain: SIGNING_DOMAIN,
+        action,
+        target: String(target ?? ''),
+        content_hash: await sha256Hex(payload ?? ''),
+        timestamp: Date.now(),
+        nonce: randomNonce()
+    };
+    const message = [
+        envelope.version,
+        envelope.domain,
+        envelope.action,
+        envelope.target,
+        envelope.content_hash,
+        envelope.timestamp,
+        envelope.nonce
+    ].join('|');
+    return { envelope, signature: signMessage(message, privateKey) };
+};
+
 // API Calls
-export const register = async (publicKey, nonce) => {
+// pow is computePoW's result; the server checks it against the challenge it issued
+export const register = async (publicKey, pow) => {
     const response = await fetch(`${API_BASE}/register`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ public_key: publicKey, nonce })
+        body: JSON.stringify({ public_key: publicKey, nonce: pow.nonce, challenge: pow.challenge })
     });
     
     if (!response.ok) {
@@ -81,9 +235,62 @@ export const register = async (publicKey, nonce) => {
     return response.json();
 };
 
-export const submitRumor = async (publicKey, privateKey, content, category = 'general', eventType = 'current', customDeadline = null) => {
-    const message = `SUBMIT:${content}`;
-    const signature = signMessage(message, privateKey);
+// Move this identity (reputation, votes, posts) to newKeys. The current key
+// signs ROTATE naming the new key and the new key countersigns; afterwards the
+// current key is retired and every action it signs is rejected.
+export const rotateKey = async (publicKey, privateKey, newKeys) => {
+    const { envelope, signature } = await signAction('ROTATE', newKeys.publicKey, '', privateKey);
+    const accept = await signAction('ROTATE_ACCEPT', publicKey, '', newKeys.privateKey);
+
+    const response = await fetch(`${API_BASE}/keys/rotate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            public_key: publicKey,
+            new_public_key: newKeys.publicKey,
+            envelope,
+            signature,
+            new_envelope: accept.envelope,
+            new_signature: accept.signature
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Key rotation failed');
+    }
+
+    return response.json();
+};
+
+// Every key in this identity's rotation chain, with the signed rotations
+export const getKeyLineage = async (publicKey) => {
+    const response = await fetch(`${API_BASE}/user/${encodeURIComponent(publicKey)}/lineage`);
+    if (!response.ok) throw new Error('Failed to fetch key lineage');
+    return response.json();
+};
+
+// Preview PII screening: { outcome: allow|redact|review|block, reasons, content }
+export const screenContent = async (text) => {
+    const response = await fetch(`${API_BASE}/screen`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+    });
+    if (!response.ok) throw new Error('Failed to screen content');
+    return response.json();
+};
+
+// Keep the screening result on errors so forms can show the reasons inline
+const screeningError = (body, fallback) => {
+    const error = new Error(body.error || fallback);
+    if (body.screening) error.screening = body.screening;
+    return error;
+};
+
+export const submitRumor = async (publicKey, privateKey, content, category = 'general', eventType = 'current', customDeadline = null, mediaIds = []) => {
+    // Evidence image hashes (media ids) are part of the signed payload
+    const { envelope, signature } = await signAction('SUBMIT', '', `${content}\n${mediaIds.join(',')}`, privateKey);
     
     const response = await fetch(`${API_BASE}/rumors`, {
         method: 'POST',
@@ -94,24 +301,65 @@ export const submitRumor = async (publicKey, privateKey, content, category = 'ge
             category,
             event_type: eventType,
             custom_deadline: customDeadline,
+            media_ids: mediaIds,
+            envelope,
             signature
         })
     });
     
     if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to submit rumor');
+        throw screeningError(error, 'Failed to submit rumor');
     }
     
     return response.json();
 };
 
-export const getRumors = async () => {
-    const response = await fetch(`${API_BASE}/rumors`);
+// Fetch one page of the feed. Filters: status, category, created_after,
+// created_before, q, sort, limit, cursor. Returns { rumors, next_cursor }.
+export const getRumors = async (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.set(key, value);
+    });
+    const query = params.toString();
+    const response = await fetch(`${API_BASE}/rumors${query ? `?${query}` : ''}`);
     if (!response.ok) throw new Error('Failed to fetch rumors');
     return response.json();
 };
 
+// Feed page with the viewer's own votes and, per FR3.4, the scores of rumors
+// they voted on. Signed, so nobody else can read a key's votes.
+export const getViewerRumors = async (publicKey, privateKey, filters = {}) => {
+    const { envelope, signature } = await signAction('FEED', '', '', privateKey);
+    return getRumors({
+        ...filters,
+        viewer_public_key: publicKey,
+        envelope: JSON.stringify(envelope),
+        signature
+    });
+};
+
+// The viewer's Watching feed. Signed, so nobody else can list what a key watches.
+export const getWatchedRumors = async (publicKey, privateKey, filters = {}) => {
+    const { envelope, signature } = await signAction('WATCHES', '', '', privateKey);
+    return getRumors({
+        ...filters,
+        watching: 'true',
+        viewer_public_key: publicKey,
+        envelope: JSON.stringify(envelope),
+        signature
+    });
+};
+
+// Category registry: [{ slug, label, description, default_deadline_hours, min_voter_reputation }]
+export const getCategories = async () => {
+    const response = await fetch(`${API_BASE}/categories`);
+    if (!response.ok) throw new Error('Failed to fetch categories');
+    const data = await response.json();
+    return data.categories;
+};
+
 export const getRumorScore = async (rumorId, voterPublicKey = null) => {
     let url = `${API_BASE}/rumors/${rumorId}/score`;
     if (voterPublicKey) {
@@ -126,8 +374,7 @@ export const getRumorScore = async (rumorId, voterPublicKey = null) => {
 };
 
 export const vote = async (publicKey, privateKey, rumorId, voteValue) => {
-    const message = `VOTE:${rumorId}:${voteValue}`;
-    const signature = signMessage(message, privateKey);
+    const { envelope, signature } = await signAction('VOTE', rumorId, String(voteValue), privateKey);
     
     const response = await fetch(`${API_BASE}/vote`, {
         method: 'POST',
@@ -136,6 +383,7 @@ export const vote = async (publicKey, privateKey, rumorId, voteValue) => {
             voter_public_key: publicKey,
             rumor_id: rumorId,
             vote_value: voteValue,
+            envelope,
             signature
         })
     });
@@ -148,29 +396,109 @@ export const vote = async (publicKey, privateKey, rumorId, voteValue) => {
     return response.json();
 };
 
+// Change or retract (voteValue = null) an existing vote before the deadline.
+// revision must be one more than the last accepted revision.
+export const changeVote = async (publicKey, privateKey, rumorId, voteValue, revision) => {
+    const payload = `${voteValue === null ? 'retract' : voteValue}:${revision}`;
+    const { envelope, signature } = await signAction('VOTE_CHANGE', rumorId, payload, privateKey);
+    
+    const response = await fetch(`${API_BASE}/vote/change`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            voter_public_key: publicKey,
+            rumor_id: rumorId,
+            vote_value: voteValue,
+            revision,
+            envelope,
+            signature
+        })
+    });
+    
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to change vote');
+    }
+    
+    return response.json();
+};
+
 export const getReputation = async (publicKey) => {
     const response = await fetch(`${API_BASE}/user/${encodeURIComponent(publicKey)}/reputation`);
-    if (!response.ok) throw new Error('Failed to fetch reputation');
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to fetch reputation');
+    }
     return response.json();
 };
 
-export const getComments = async (rumorId) => {
-    const response = await fetch(`${API_BASE}/rumors/${rumorId}/comments`);
+export const getReputationHistory = async (publicKey) => {
+    const response = await fetch(`${API_BASE}/user/${encodeURIComponent(publicKey)}/reputation/history`);
+    if (!response.ok) throw new Error('Failed to fetch reputation history');
+    return response.json();
+};
+
+// Comment threads: top-level comments, each with nested replies and reply_count,
+// most helpful first. viewerPublicKey adds viewer_helpful to each comment.
+export const getComments = async (rumorId, viewerPublicKey = null) => {
+    let url = `${API_BASE}/rumors/${rumorId}/comments`;
+    if (viewerPublicKey) {
+        url += `?viewer_public_key=${encodeURIComponent(viewerPublicKey)}`;
+    }
+    const response = await fetch(url);
     if (!response.ok) throw new Error('Failed to fetch comments');
     return response.json();
 };
 
-export const postComment = async (publicKey, privateKey, rumorId, content, imageUrl = null) => {
-    const signContent = content || '';
-    const message = `COMMENT:${rumorId}:${signContent}`;
-    const signature = signMessage(message, privateKey);
+// Server-Sent Events stream of feed changes (see services/liveEvents.js)
+export const getEventsUrl = () => `${API_BASE}/events`;
+
+// Media ids are the SHA-256 of the stored image bytes
+export const getMediaUrl = (mediaId, thumbnail = false) =>
+    `${API_BASE}/media/${mediaId}${thumbnail ? '/thumb' : ''}`;
+
+// Upload an image blob; the server re-encodes it and strips EXIF/GPS
+export const uploadMedia = async (publicKey, privateKey, blob) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const { envelope, signature } = await signAction('MEDIA_UPLOAD', '', await sha256Hex(bytes), privateKey);
+
+    const form = new FormData();
+    form.append('image', blob, 'image.jpg');
+    form.append('public_key', publicKey);
+    form.append('envelope', JSON.stringify(envelope));
+    form.append('signature', signature);
+
+    const response = await fetch(`${API_BASE}/media`, {
+        method: 'POST',
+        body: form
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to upload image');
+    }
+
+    return response.json();
+};
+
+// parentId makes the comment a reply; it is signed so a relay can't re-thread it
+export const postComment = async (publicKey, privateKey, rumorId, content, mediaId = null, parentId = null) => {
+    // Signing the media id signs the image hash, so a relay can't swap the image
+    const { envelope, signature } = await signAction(
+        'COMMENT',
+        rumorId,
+        `${content || ''}\n${mediaId || ''}\n${parentId ?? ''}`,
+        privateKey
+    );
     
     const body = {
         commenter_public_key: publicKey,
         content: content || '',
+        envelope,
         signature
     };
-    if (imageUrl) body.image_url = imageUrl;
+    if (mediaId) body.media_id = mediaId;
+    if (parentId !== null) body.parent_id = parentId;
     
     const response = await fetch(`${API_BASE}/rumors/${rumorId}/comments`, {
         method: 'POST',
@@ -180,21 +508,88 @@ export const postComment = async (publicKey, privateKey, rumorId, content, image
     
     if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to post comment');
+        throw screeningError(error, 'Failed to post comment');
     }
     
     return response.json();
 };
 
+// Mark a comment helpful (true) or unhelpful (false); null clears the vote
+export const voteComment = async (publicKey, privateKey, commentId, helpful) => {
+    const { envelope, signature } = await signAction('COMMENT_VOTE', commentId, String(helpful), privateKey);
+
+    const response = await fetch(`${API_BASE}/comments/${commentId}/vote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            voter_public_key: publicKey,
+            helpful,
+            envelope,
+            signature
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to vote on comment');
+    }
+
+    return response.json();
+};
+
+// Edit own comment; the server keeps only hashes of earlier versions
+export const editComment = async (publicKey, privateKey, commentId, content) => {
+    const { envelope, signature } = await signAction('COMMENT_EDIT', commentId, content, privateKey);
+
+    const response = await fetch(`${API_BASE}/comments/${commentId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            commenter_public_key: publicKey,
+            content,
+            envelope,
+            signature
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw screeningError(error, 'Failed to edit comment');
+    }
+
+    return response.json();
+};
+
+export const deleteComment = async (publicKey, privateKey, commentId) => {
+    const { envelope, signature } = await signAction('COMMENT_DELETE', commentId, '', privateKey);
+
+    const response = await fetch(`${API_BASE}/comments/${commentId}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            commenter_public_key: publicKey,
+            envelope,
+            signature
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to delete comment');
+    }
+
+    return response.json();
+};
+
 export const deleteRumor = async (publicKey, privateKey, rumorId) => {
-    const message = `DELETE:${rumorId}`;
-    const signature = signMessage(message, privateKey);
+    const { envelope, signature } = await signAction('DELETE', rumorId, '', privateKey);
     
     const response = await fetch(`${API_BASE}/rumors/${rumorId}`, {
         method: 'DELETE',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
             creator_public_key: publicKey,
+            envelope,
             signature
         })
     });
@@ -206,3 +601,113 @@ export const deleteRumor = async (publicKey, privateKey, rumorId) => {
     
     return response.json();
 };
+
+// Report a rumor or comment. targetType is 'rumor' or 'comment'; reason is
+// one of doxxing, harassment, spam, illegal_content, personal_info.
+export const reportContent = async (publicKey, privateKey, targetType, targetId, reason, details = '') => {
+    const { envelope, signature } = await signAction('REPORT', `${targetType}:${targetId}`, `${reason}\n${details}`, privateKey);
+
+    const response = await fetch(`${API_BASE}/reports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            reporter_public_key: publicKey,
+            target_type: targetType,
+            target_id: targetId,
+            reason,
+            details,
+            envelope,
+            signature
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to submit report');
+    }
+
+    return response.json();
+};
+
+// Personal notifications. The request is signed (envelope in the query
+// string) so only the key's owner can read them.
+export const getNotifications = async (publicKey, privateKey, { unread = false } = {}) => {
+    const { envelope, signature } = await signAction('NOTIFICATIONS', '', '', privateKey);
+    const params = new URLSearchParams({
+        public_key: publicKey,
+        envelope: JSON.stringify(envelope),
+        signature
+    });
+    if (unread) params.set('unread', 'true');
+
+    const response = await fetch(`${API_BASE}/notifications?${params}`);
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to fetch notifications');
+    }
+
+    return response.json();
+};
+
+// Mark the given notification ids read, or all of them when ids is null
+export const markNotificationsRead = async (publicKey, privateKey, ids = null) => {
+    const { envelope, signature } = await signAction('NOTIFICATIONS_READ', '', ids === null ? 'all' : ids.join(','), privateKey);
+
+    const body = { public_key: publicKey, envelope, signature };
+    if (ids !== null) body.ids = ids;
+
+    const response = await fetch(`${API_BASE}/notifications/read`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to mark notifications read');
+    }
+
+    return response.json();
+};
+
+// Private watch list: { rumors: [ids], categories: [names] }
+export const getWatches = async (publicKey, privateKey) => {
+    const { envelope, signature } = await signAction('WATCHES', '', '', privateKey);
+    const params = new URLSearchParams({
+        public_key: publicKey,
+        envelope: JSON.stringify(envelope),
+        signature
+    });
+
+    const response = await fetch(`${API_BASE}/watches?${params}`);
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to fetch watch list');
+    }
+
+    return response.json();
+};
+
+// Watch (watching = true) or stop watching a rumor id or category name
+export const setWatch = async (publicKey, privateKey, targetType, target, watching) => {
+    const { envelope, signature } = await signAction(watching ? 'WATCH' : 'UNWATCH', `${targetType}:${target}`, '', privateKey);
+
+    const response = await fetch(`${API_BASE}/watches`, {
+        method: watching ? 'POST' : 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            public_key: publicKey,
+            target_type: targetType,
+            target,
+            envelope,
+            signature
+        })
+    });
+
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update watch list');
+    }
+
+    return response.json();
+};
@@ -0,0 +1,41 @@
+// Category registry from the server, fetched once per page load and shared
+// by every component that needs it.
+import { useState, useEffect } from 'react';
+import { getCategories } from './api';
+
+let categoriesPromise = null;
+
+const loadCategories = () => {
+    if (!categoriesPromise) {
+        categoriesPromise = getCategories().catch(err => {
+            categoriesPromise = null; // Let the next caller retry
+            throw err;
+        });
+    }
+    return categoriesPromise;
+};
+
+export const useCategories = () => {
+    const [categories, setCategories] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadCategories()
+            .then(list => {
+                if (!cancelled) setCategories(list);
+            })
+            .catch(() => {
+                // Without the registry the UI falls back to "General" only
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    return categories;
+};
+
+// "3 days", "48 hours"
+export const formatDeadlineHours = (hours) => hours % 24 === 0
+    ? `${hours / 24} day${hours === 24 ? '' : 's'}`
+    : `${hours} hours`;
@@ -0,0 +1,35 @@
+// Live PII screening preview while the user types, so warnings show up
+// before anything is signed. Pass the text exactly as it will be submitted
+// (reason offsets index into it). The server screens again on submit.
+import { useState, useEffect } from 'react';
+import { screenContent } from './api';
+
+const SCREEN_DEBOUNCE_MS = 400;
+
+export const useContentScreening = (text) => {
+    const [screening, setScreening] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            if (!text.trim()) {
+                setScreening(null);
+                return;
+            }
+            try {
+                const result = await screenContent(text);
+                if (!cancelled) setScreening(result);
+            } catch {
+                // Preview only: the server still screens the submission
+                if (!cancelled) setScreening(null);
+            }
+        }, SCREEN_DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [text]);
+
+    return screening;
+};
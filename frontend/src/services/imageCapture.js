@@ -0,0 +1,127 @@
+// Shared image capture: file picker / native mobile camera, desktop webcam,
+// and client-side compression before upload
+import { useRef, useState, useCallback, useEffect } from 'react';
+
+export const isMobile = () => /Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
+
+const canvasToBlob = (canvas, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Compression failed')), 'image/jpeg', quality);
+});
+
+// Scale a canvas-drawable source down to maxWidth and encode as JPEG
+const encodeScaled = (source, srcWidth, srcHeight, maxWidth, quality) => {
+    let width = srcWidth;
+    let height = srcHeight;
+    if (width > maxWidth) {
+        height = (height * maxWidth) / width;
+        width = maxWidth;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+    return canvasToBlob(canvas, quality);
+};
+
+export const compressImage = (file, maxWidth = 800, quality = 0.7) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const img = new window.Image();
+            img.onload = () => encodeScaled(img, img.width, img.height, maxWidth, quality).then(resolve, reject);
+            img.onerror = reject;
+            img.src = e.target.result;
+        };
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    });
+};
+
+// Camera + file input state for a component. onImage receives each
+// compressed JPEG Blob; onError receives a user-facing message.
+export const useImageCapture = ({ onImage, onError }) => {
+    const [showCamera, setShowCamera] = useState(false);
+    const cameraInputRef = useRef(null);
+    const videoRef = useRef(null);
+    const streamRef = useRef(null);
+
+    const stopCamera = useCallback(() => {
+        if (streamRef.current) {
+            streamRef.current.getTracks().forEach(track => track.stop());
+            streamRef.current = null;
+        }
+        setShowCamera(false);
+    }, []);
+
+    // Cleanup camera stream on unmount
+    useEffect(() => {
+        return () => stopCamera();
+    }, [stopCamera]);
+
+    // Mobile: native camera via file input (also plain file picking)
+    const handleImageSelect = async (e) => {
+        const files = Array.from(e.target.files || []);
+        for (const file of files) {
+            if (!file.type.startsWith('image/')) {
+                onError('Please select an image file');
+                continue;
+            }
+
+            try {
+                onImage(await compressImage(file));
+            } catch {
+                onError('Failed to process image');
+            }
+        }
+        e.target.value = '';
+    };
+
+    // Desktop: WebRTC camera
+    const openCamera = async () => {
+        if (isMobile()) {
+            cameraInputRef.current?.click();
+            return;
+        }
+
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment', width: { ideal: 1280 }, height: { ideal: 720 } },
+                audio: false
+            });
+            streamRef.current = stream;
+            setShowCamera(true);
+
+            // Wait for video element to mount
+            setTimeout(() => {
+                if (videoRef.current) {
+                    videoRef.current.srcObject = stream;
+                    videoRef.current.play().catch(() => {});
+                }
+            }, 100);
+        } catch (err) {
+            if (err.name === 'NotAllowedError') {
+                onError('Camera access denied. Please allow camera in browser settings.');
+            } else if (err.name === 'NotFoundError') {
+                onError('No camera found on this device.');
+            } else {
+                onError('Could not access camera.');
+            }
+        }
+    };
+
+    const capturePhoto = async () => {
+        if (!videoRef.current) return;
+
+        // Compress to max 800px wide
+        const video = videoRef.current;
+        try {
+            onImage(await encodeScaled(video, video.videoWidth, video.videoHeight, 800, 0.7));
+        } catch {
+            onError('Failed to capture photo');
+        }
+        stopCamera();
+    };
+
+    return { showCamera, cameraInputRef, videoRef, openCamera, capturePhoto, stopCamera, handleImageSelect };
+};
@@ -0,0 +1,196 @@
+// Passphrase-encrypted private key backups.
+//
+// The secret key is sealed with nacl.secretbox under a key stretched from the
+// passphrase with scrypt, so a leaked backup file still needs the passphrase
+// (and a lot of memory per guess) before it is any use to an attacker.
+import nacl from 'tweetnacl';
+import { decodeUTF8, encodeBase64, decodeBase64 } from 'tweetnacl-util';
+
+export const BACKUP_FORMAT = 'acr-key-backup';
+export const MIN_PASSPHRASE_LENGTH = 10;
+
+// scrypt "interactive" parameters: 16 MiB of memory, well under a second
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+// Refuse backups asking for more than this so a crafted file can't exhaust
+// the tab's memory: roMix allocates 128 * r * N bytes, and p repeats the work
+const SCRYPT_LIMITS = { N: 1 << 20, r: 16, p: 4 };
+const SCRYPT_MAX_MEMORY = 256 * 1024 * 1024;
+const SCRYPT_MAX_WORK = 4 * SCRYPT_MAX_MEMORY; // 128 * r * N * p
+
+// ==================== scrypt (RFC 7914) ====================
+
+const rotl = (a, b) => (a << b) | (a >>> (32 - b));
+
+// Salsa20/8 core, in place on 16 words
+const salsa20_8 = (B) => {
+    const x = B.slice();
+    for (let i = 0; i < 8; i += 2) {
+        x[4] ^= rotl(x[0] + x[12], 7); x[8] ^= rotl(x[4] + x[0], 9);
+        x[12] ^= rotl(x[8] + x[4], 13); x[0] ^= rotl(x[12] + x[8], 18);
+        x[9] ^= rotl(x[5] + x[1], 7); x[13] ^= rotl(x[9] + x[5], 9);
+        x[1] ^= rotl(x[13] + x[9], 13); x[5] ^= rotl(x[1] + x[13], 18);
+        x[14] ^= rotl(x[10] + x[6], 7); x[2] ^= rotl(x[14] + x[10], 9);
+        x[6] ^= rotl(x[2] + x[14], 13); x[10] ^= rotl(x[6] + x[2], 18);
+        x[3] ^= rotl(x[15] + x[11], 7); x[7] ^= rotl(x[3] + x[15], 9);
+        x[11] ^= rotl(x[7] + x[3], 13); x[15] ^= rotl(x[11] + x[7], 18);
+        x[1] ^= rotl(x[0] + x[3], 7); x[2] ^= rotl(x[1] + x[0], 9);
+        x[3] ^= rotl(x[2] + x[1], 13); x[0] ^= rotl(x[3] + x[2], 18);
+        x[6] ^= rotl(x[5] + x[4], 7); x[7] ^= rotl(x[6] + x[5], 9);
+        x[4] ^= rotl(x[7] + x[6], 13); x[5] ^= rotl(x[4] + x[7], 18);
+        x[11] ^= rotl(x[10] + x[9], 7); x[8] ^= rotl(x[11] + x[10], 9);
+        x[9] ^= rotl(x[8] + x[11], 13); x[10] ^= rotl(x[9] + x[8], 18);
+        x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+        x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+    }
+    for (let i = 0; i < 16; i++) B[i] = B[i] + x[i];
+};
+
+// BlockMix: even output blocks go to the first half of B, odd to the second
+const blockMix = (B, X, Y, r) => {
+    X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+    for (let i = 0; i < 2 * r; i++) {
+        for (let j = 0; j < 16; j++) X[j] ^= B[i * 16 + j];
+        salsa20_8(X);
+        Y.set(X, ((i & 1) ? r + (i >> 1) : (i >> 1)) * 16);
+    }
+    B.set(Y);
+};
+
+const roMix = (B, N, r) => {
+    const words = 32 * r;
+    const V = new Uint32Array(words * N);
+    const X = new Uint32Array(16);
+    const Y = new Uint32Array(words);
+
+    for (let i = 0; i < N; i++) {
+        V.set(B, i * words);
+        blockMix(B, X, Y, r);
+    }
+    for (let i = 0; i < N; i++) {
+        const j = B[(2 * r - 1) * 16] & (N - 1);
+        for (let k = 0; k < words; k++) B[k] ^= V[j * words + k];
+        blockMix(B, X, Y, r);
+    }
+};
+
+const pbkdf2 = async (password, salt, length) => {
+    const key = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations: 1, hash: 'SHA-256' }, key, length * 8);
+    return new Uint8Array(bits);
+};
+
+export const scrypt = async (password, salt, { N, r, p }, length) => {
+    const blockBytes = 128 * r;
+    const B = await pbkdf2(password, salt, p * blockBytes);
+    const words = new Uint32Array(32 * r);
+
+    for (let i = 0; i < p; i++) {
+        const block = B.subarray(i * blockBytes, (i + 1) * blockBytes);
+        // Words are little-endian regardless of platform
+        for (let k = 0; k < words.length; k++) {
+            words[k] = block[4 * k] | (block[4 * k + 1] << 8) | (block[4 * k + 2] << 16) | (block[4 * k + 3] << 24);
+        }
+        roMix(words, N, r);
+        for (let k = 0; k < words.length; k++) {
+            block[4 * k] = words[k];
+            block[4 * k + 1] = words[k] >>> 8;
+            block[4 * k + 2] = words[k] >>> 16;
+            block[4 * k + 3] = words[k] >>> 24;
+        }
+    }
+
+    return pbkdf2(password, B, length);
+};
+
+// ==================== BACKUP FILES ====================
+
+const deriveBackupKey = (passphrase, salt, params) =>
+    scrypt(decodeUTF8(passphrase.normalize('NFKC')), salt, params, nacl.secretbox.keyLength);
+
+// A pasted or decrypted secret key only counts if its embedded public half
+// really belongs to its seed; nacl.sign.keyPair.fromSecretKey doesn't check.
+export const keyPairFromPrivateKey = (privateKey) => {
+    let secretKey;
+    try {
+        secretKey = decodeBase64(privateKey.trim());
+    } catch {
+        throw new Error('Private key is not valid base64');
+    }
+    if (secretKey.length !== nacl.sign.secretKeyLength) {
+        throw new Error('Private key has the wrong length');
+    }
+    const derived = nacl.sign.keyPair.fromSeed(secretKey.slice(0, 32));
+    if (!nacl.verify(derived.publicKey, secretKey.slice(32))) {
+        throw new Error('Private key is corrupted (public half does not match)');
+    }
+    return { publicKey: encodeBase64(derived.publicKey), privateKey: encodeBase64(secretKey) };
+};
+
+export const encryptKeyBackup = async (publicKey, privateKey, passphrase) => {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const salt = nacl.randomBytes(16);
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const key = await deriveBackupKey(passphrase, salt, SCRYPT_PARAMS);
+    const ciphertext = nacl.secretbox(decodeBase64(privateKey), nonce, key);
+
+    return {
+        format: BACKUP_FORMAT,
+        version: 1,
+        public_key: publicKey,
+        kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: encodeBase64(salt) },
+        cipher: { name: 'xsalsa20-poly1305', nonce: encodeBase64(nonce), ciphertext: encodeBase64(ciphertext) },
+        created_at: new Date().toISOString()
+    };
+};
+
+// Accepts the parsed JSON of a backup file; returns { publicKey, privateKey }
+export const decryptKeyBackup = async (backup, passphrase) => {
+    if (!backup || backup.format !== BACKUP_FORMAT || backup.version !== 1) {
+        throw new Error('Not a recognised key backup file');
+    }
+    const { kdf, cipher } = backup;
+    if (kdf?.name !== 'scrypt' || cipher?.name !== 'xsalsa20-poly1305') {
+        throw new Error('Unsupported backup encryption');
+    }
+    const params = { N: kdf.N, r: kdf.r, p: kdf.p };
+    const sane = Object.entries(SCRYPT_LIMITS).every(([k, max]) => Number.isInteger(params[k]) && params[k] >= 1 && params[k] <= max);
+    const memory = 128 * params.r * params.N;
+    if (!sane || (params.N & (params.N - 1)) !== 0 || params.N < 2
+        || memory > SCRYPT_MAX_MEMORY || memory * params.p > SCRYPT_MAX_WORK) {
+        throw new Error('Backup uses unsupported key-derivation parameters');
+    }
+
+    let salt, nonce, ciphertext;
+    try {
+        salt = decodeBase64(kdf.salt);
+        nonce = decodeBase64(cipher.nonce);
+        ciphertext = decodeBase64(cipher.ciphertext);
+    } catch {
+        throw new Error('Backup file is corrupted');
+    }
+    if (nonce.length !== nacl.secretbox.nonceLength) throw new Error('Backup file is corrupted');
+
+    const key = await deriveBackupKey(passphrase, salt, params);
+    const secretKey = nacl.secretbox.open(ciphertext, nonce, key);
+    if (!secretKey) throw new Error('Wrong passphrase or corrupted backup');
+
+    const keys = keyPairFromPrivateKey(encodeBase64(secretKey));
+    if (backup.public_key && backup.public_key !== keys.publicKey) {
+        throw new Error('Backup public key does not match the decrypted private key');
+    }
+    return keys;
+};
+
+export const downloadKeyBackup = (backup) => {
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `acr-identity-${backup.public_key.replace(/[^A-Za-z0-9]/g, '').slice(0, 8)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,112 @@
+// Unlocked signing session for the stored identity.
+//
+// The secret key is only kept in localStorage encrypted under the user's
+// passphrase (see storeKeys in api.js). Unlocking decrypts it into memory;
+// it is dropped again after IDLE_TIMEOUT_MS without a signature or when the
+// user locks it. All signing goes through withSigningKey (user actions, which
+// prompt for the passphrase) or getUnlockedKey (background requests, which
+// never prompt and don't keep the session alive).
+import { useSyncExternalStore } from 'react';
+import { getStoredKeys, getEncryptedKey, getLegacyPrivateKey, storeKeys } from './api';
+import { decryptKeyBackup } from './keyBackup';
+
+export const IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+
+let session = null;        // { publicKey, privateKey } while unlocked
+let idleTimer = null;
+let pendingUnlock = null;  // { promise, resolve, reject } while the prompt is open
+const listeners = new Set();
+
+const readSnapshot = () => ({
+    unlocked: session !== null,
+    unlockRequested: pendingUnlock !== null,
+    // Older versions stored the key in the clear; it has to be protected first
+    needsSetup: Boolean(getLegacyPrivateKey() && !getEncryptedKey())
+});
+
+let snapshot = readSnapshot();
+
+const emit = () => {
+    snapshot = readSnapshot();
+    listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const touch = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(lockSession, IDLE_TIMEOUT_MS);
+};
+
+export const lockSession = () => {
+    clearTimeout(idleTimer);
+    session = null;
+    emit();
+};
+
+// Start a session with a key the caller already holds (just registered or imported)
+export const startSession = (publicKey, privateKey) => {
+    session = { publicKey, privateKey };
+    touch();
+    if (pendingUnlock) {
+        pendingUnlock.resolve();
+        pendingUnlock = null;
+    }
+    emit();
+};
+
+export const unlockSession = async (passphrase) => {
+    const keys = getStoredKeys();
+    const stored = getEncryptedKey();
+    if (!keys || !stored) throw new Error('No protected identity on this device');
+    const unlocked = await decryptKeyBackup(stored, passphrase);
+    if (unlocked.publicKey !== keys.publicKey) {
+        throw new Error('Stored key does not belong to this identity');
+    }
+    startSession(unlocked.publicKey, unlocked.privateKey);
+};
+
+// Encrypt a legacy plaintext key under a new passphrase (removes the plaintext)
+export const protectLegacyKey = async (passphrase) => {
+    const keys = getStoredKeys();
+    const privateKey = getLegacyPrivateKey();
+    if (!keys || !privateKey) throw new Error('No unprotected identity on this device');
+    await storeKeys(keys.publicKey, privateKey, passphrase);
+    startSession(keys.publicKey, privateKey);
+};
+
+// Ask the UnlockPrompt for the passphrase. Concurrent callers share one prompt.
+export const requestUnlock = () => {
+    if (session) return Promise.resolve();
+    if (!pendingUnlock) {
+        let resolve, reject;
+        const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+        pendingUnlock = { promise, resolve, reject };
+        emit();
+    }
+    return pendingUnlock.promise;
+};
+
+export const cancelUnlock = () => {
+    if (!pendingUnlock) return;
+    pendingUnlock.reject(new Error('Identity is locked - unlock it to continue'));
+    pendingUnlock = null;
+    emit();
+};
+
+// Run fn with the secret key, prompting to unlock first if needed.
+// Rejects if the user cancels the prompt.
+export const withSigningKey = async (fn) => {
+    if (!session) await requestUnlock();
+    const { privateKey } = session;
+    touch();
+    return fn(privateKey);
+};
+
+// Secret key if the session is unlocked, otherwise null. Never prompts.
+export const getUnlockedKey = () => session?.privateKey ?? null;
+
+export const useSession = () => useSyncExternalStore(subscribe, () => snapshot);
@@ -0,0 +1,69 @@
+// Live feed updates from the server's Server-Sent Events stream. One
+// EventSource is shared by every subscriber on the page; the browser
+// reconnects it on its own. Events carry ids and counts only, so anything
+// viewer-specific (scores, the viewer's vote) is re-fetched through the API.
+import { useEffect, useRef } from 'react';
+import { getEventsUrl } from './api';
+
+const LIVE_EVENTS = ['rumor-created', 'vote-count-changed', 'comment-added', 'rumor-finalized', 'rumor-deleted'];
+const RETRY_DELAY_MS = 30 * 1000; // After the server turned the stream away (503)
+
+const listeners = new Set();
+let source = null;
+let retryTimer = null;
+
+const connect = () => {
+    if (source || typeof EventSource === 'undefined') return;
+    source = new EventSource(getEventsUrl());
+    // The browser gives up for good on an error response; try again later
+    source.onerror = (e) => {
+        if (e.target.readyState !== EventSource.CLOSED || e.target !== source) return;
+        source = null;
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(() => {
+            if (listeners.size > 0) connect();
+        }, RETRY_DELAY_MS);
+    };
+    for (const type of LIVE_EVENTS) {
+        source.addEventListener(type, (e) => {
+            let data;
+            try {
+                data = JSON.parse(e.data);
+            } catch {
+                return;
+            }
+            listeners.forEach(listener => listener(type, data));
+        });
+    }
+};
+
+// Closed once the last subscriber unmounts
+const disconnect = () => {
+    if (listeners.size > 0) return;
+    clearTimeout(retryTimer);
+    if (source) {
+        source.close();
+        source = null;
+    }
+};
+
+// handlers maps event names to callbacks, e.g.
+// useLiveEvents({ 'vote-count-changed': ({ rumor_id, vote_count }) => ... })
+export const useLiveEvents = (handlers) => {
+    const handlersRef = useRef(handlers);
+
+    // Latest handlers without resubscribing on every render
+    useEffect(() => {
+        handlersRef.current = handlers;
+    });
+
+    useEffect(() => {
+        const listener = (type, data) => handlersRef.current[type]?.(data);
+        listeners.add(listener);
+        connect();
+        return () => {
+            listeners.delete(listener);
+            disconnect();
+        };
+    }, []);
+};
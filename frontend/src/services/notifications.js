@@ -0,0 +1,72 @@
+// Notification inbox for the stored identity. Polled, and refreshed shortly
+// after live events that usually mean something new (finalizations,
+// comments, hidden rumors). Every fetch is a signed request, so nothing is
+// fetched while the signing session is locked.
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getNotifications, markNotificationsRead, getStoredKeys } from './api';
+import { getUnlockedKey, withSigningKey, useSession } from './keySession';
+import { useLiveEvents } from './liveEvents';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const EVENT_REFRESH_DELAY_MS = 2000; // Batches bursts of events into one fetch
+
+export const useNotifications = () => {
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const refreshTimerRef = useRef(null);
+    const { unlocked } = useSession();
+
+    const refresh = useCallback(() => {
+        const keys = getStoredKeys();
+        const privateKey = getUnlockedKey();
+        if (!keys || !privateKey) return;
+        getNotifications(keys.publicKey, privateKey)
+            .then(data => {
+                setNotifications(data.notifications);
+                setUnreadCount(data.unread_count);
+            })
+            .catch(() => {
+                // Keep the current list; the next poll tries again
+            });
+    }, []);
+
+    // Restarts (and fetches straight away) when the session unlocks
+    useEffect(() => {
+        if (!unlocked) return;
+        refresh();
+        const timer = setInterval(refresh, POLL_INTERVAL_MS);
+        return () => {
+            clearInterval(timer);
+            clearTimeout(refreshTimerRef.current);
+        };
+    }, [refresh, unlocked]);
+
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimerRef.current);
+        refreshTimerRef.current = setTimeout(refresh, EVENT_REFRESH_DELAY_MS);
+    };
+
+    useLiveEvents({
+        'rumor-finalized': scheduleRefresh,
+        'comment-added': scheduleRefresh,
+        'rumor-deleted': scheduleRefresh
+    });
+
+    // ids = null marks everything read. Shown as read straight away.
+    const markRead = async (ids = null) => {
+        const keys = getStoredKeys();
+        if (!keys) return;
+        const readAt = new Date().toISOString();
+        setNotifications(prev => prev.map(n =>
+            !n.read_at && (ids === null || ids.includes(n.id)) ? { ...n, read_at: readAt } : n
+        ));
+        try {
+            const result = await withSigningKey(privateKey => markNotificationsRead(keys.publicKey, privateKey, ids));
+            setUnreadCount(result.unread_count);
+        } catch {
+            refresh();
+        }
+    };
+
+    return { notifications, unreadCount, refresh, markRead };
+};
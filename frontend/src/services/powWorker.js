@@ -0,0 +1,53 @@
+// Proof-of-work worker. Tries nonces start, start + step, start + 2*step, ...
+// until sha256(prefix + nonce) has `difficulty` leading zero hex digits, where
+// prefix is challenge + publicKey (the same check as the server's verifyPoW),
+// reporting attempts as it goes.
+const BATCH_SIZE = 256;            // Digests in flight per round
+const PROGRESS_INTERVAL_MS = 250;
+
+const encoder = new TextEncoder();
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+// Leading zero nibbles without building the hex string for every attempt
+const meetsDifficulty = (bytes, difficulty) => {
+    const fullBytes = difficulty >> 1;
+    for (let i = 0; i < fullBytes; i++) {
+        if (bytes[i] !== 0) return false;
+    }
+    return difficulty % 2 === 0 || bytes[fullBytes] < 16;
+};
+
+self.onmessage = async ({ data }) => {
+    const { prefix, difficulty, start, step } = data;
+    let nonce = start;
+    let attempts = 0;
+    let lastReport = performance.now();
+
+    for (;;) {
+        const nonces = [];
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            nonces.push(nonce);
+            nonce += step;
+        }
+        const digests = await Promise.all(
+            nonces.map(n => crypto.subtle.digest('SHA-256', encoder.encode(prefix + n)))
+        );
+
+        for (let i = 0; i < digests.length; i++) {
+            const bytes = new Uint8Array(digests[i]);
+            if (meetsDifficulty(bytes, difficulty)) {
+                self.postMessage({ type: 'found', nonce: nonces[i], hash: toHex(bytes), attempts: attempts + i + 1 });
+                return;
+            }
+        }
+
+        attempts += BATCH_SIZE;
+        const now = performance.now();
+        if (now - lastReport >= PROGRESS_INTERVAL_MS) {
+            self.postMessage({ type: 'progress', attempts });
+            attempts = 0;
+            lastReport = now;
+        }
+    }
+};
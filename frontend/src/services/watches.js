@@ -0,0 +1,52 @@
+// The stored identity's private watch list (rumor ids and category names),
+// loaded once the signing session is unlocked and updated in place as the
+// user toggles watches.
+import { useState, useEffect } from 'react';
+import { getWatches, setWatch, getStoredKeys } from './api';
+import { getUnlockedKey, withSigningKey, useSession } from './keySession';
+
+export const useWatches = () => {
+    const [rumorIds, setRumorIds] = useState(() => new Set());
+    const [categories, setCategories] = useState([]);
+    const { unlocked } = useSession();
+
+    useEffect(() => {
+        const keys = getStoredKeys();
+        const privateKey = getUnlockedKey();
+        if (!keys || !privateKey) return;
+        getWatches(keys.publicKey, privateKey)
+            .then(data => {
+                setRumorIds(new Set(data.rumors));
+                setCategories(data.categories);
+            })
+            .catch(() => {
+                // Nothing watched as far as the UI knows; toggles still work
+            });
+    }, [unlocked]);
+
+    const isWatching = (targetType, target) => targetType === 'rumor'
+        ? rumorIds.has(target)
+        : categories.includes(target);
+
+    // Throws (e.g. not registered) so the caller can show the error
+    const toggleWatch = async (targetType, target) => {
+        const keys = getStoredKeys();
+        if (!keys) throw new Error('Please register first');
+        const watching = !isWatching(targetType, target);
+        await withSigningKey(privateKey => setWatch(keys.publicKey, privateKey, targetType, target, watching));
+
+        if (targetType === 'rumor') {
+            setRumorIds(prev => {
+                const next = new Set(prev);
+                if (watching) next.add(target);
+                else next.delete(target);
+                return next;
+            });
+        } else {
+            setCategories(prev => watching ? [...prev, target] : prev.filter(c => c !== target));
+        }
+        return watching;
+    };
+
+    return { categories, isWatching, toggleWatch };
+};
@@ -8,17 +8,53 @@ CREATE TABLE users (
     ip_hash TEXT  -- Daily rotating salt for rate limiting only
 );
 
+-- key_rotations (APPEND-ONLY - key lineage; old_public_key is retired once rotated)
+-- envelope/new_envelope are canonical ACR-SIG-v1 strings: ROTATE signed by the old
+-- key naming the new one, ROTATE_ACCEPT signed by the new key naming the old one
+CREATE TABLE key_rotations (
+    old_public_key TEXT PRIMARY KEY REFERENCES users(public_key),
+    new_public_key TEXT UNIQUE NOT NULL REFERENCES users(public_key),
+    envelope TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    new_envelope TEXT NOT NULL,
+    new_signature TEXT NOT NULL,
+    rotated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- categories (registry; per-category defaults for new rumors and voting)
+CREATE TABLE categories (
+    slug TEXT PRIMARY KEY,      -- e.g. 'campus-life'
+    label TEXT NOT NULL,
+    description TEXT,
+    default_deadline_hours INT NOT NULL DEFAULT 72,   -- voting window when no custom deadline is given
+    min_voter_reputation NUMERIC NOT NULL DEFAULT 0,  -- reputation needed to vote on rumors in it
+    position INT NOT NULL DEFAULT 0,                  -- display order
+    active BOOLEAN NOT NULL DEFAULT TRUE              -- inactive: no new rumors, still filterable
+);
+
+INSERT INTO categories (slug, label, description, default_deadline_hours, position) VALUES
+    ('general', 'General', 'Anything that fits nowhere else', 72, 0),
+    ('academic', 'Academic', 'Courses, exams and grading', 72, 1),
+    ('events', 'Events', 'Parties, talks and things happening soon', 48, 2),
+    ('sports', 'Sports', 'Teams, matches and transfers', 48, 3),
+    ('campus-life', 'Campus Life', 'Housing, dining and facilities', 72, 4),
+    ('administration', 'Administration', 'Policy, fees and staff changes', 168, 5);
+
 -- rumors table (hard delete when user chooses)
 CREATE TABLE rumors (
     id SERIAL PRIMARY KEY,
     content TEXT NOT NULL,
-    category TEXT,
+    category TEXT NOT NULL DEFAULT 'general' REFERENCES categories(slug),
     creator_public_key TEXT REFERENCES users(public_key),
     created_at TIMESTAMP DEFAULT NOW(),
-    deadline TIMESTAMP NOT NULL
+    deadline TIMESTAMP NOT NULL,
+    search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+    hidden_at TIMESTAMP,        -- set while hidden by a moderator pending review
+    hidden_by TEXT,             -- moderator public key
+    hidden_reason TEXT
 );
 
--- votes table (IMMUTABLE unless rumor deleted)
+-- votes table (current vote per voter; history lives in vote_revisions)
 CREATE TABLE votes (
     rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
     voter_public_key TEXT REFERENCES users(public_key),
@@ -27,6 +63,24 @@ CREATE TABLE votes (
     PRIMARY KEY(rumor_id, voter_public_key)
 );
 
+-- rumor_media (evidence images attached to a rumor, in display order)
+CREATE TABLE rumor_media (
+    rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
+    media_id TEXT NOT NULL,     -- media.id
+    position INT NOT NULL,
+    PRIMARY KEY(rumor_id, position)
+);
+
+-- vote_revisions (APPEND-ONLY - every signed vote, change and retraction)
+CREATE TABLE vote_revisions (
+    rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
+    voter_public_key TEXT REFERENCES users(public_key),
+    revision INT NOT NULL,      -- 0 = original vote
+    vote_value BOOLEAN,         -- NULL = retraction
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY(rumor_id, voter_public_key, revision)
+);
+
 -- reputation_cache (DISPOSABLE - recalculate from votes anytime)
 CREATE TABLE reputation_cache (
     public_key TEXT PRIMARY KEY REFERENCES users(public_key),
@@ -37,7 +91,8 @@ CREATE TABLE reputation_cache (
 -- finalized_scores (IMMUTABLE - prevents score manipulation after deadline)
 CREATE TABLE finalized_scores (
     rumor_id INT PRIMARY KEY,
-    trust_score FLOAT NOT NULL,
+    trust_score FLOAT NOT NULL,  -- reputation-weighted (FR5.2)
+    raw_score FLOAT,             -- unweighted TRUE ratio, for comparison
     total_votes INT NOT NULL,
     finalized_at TIMESTAMP DEFAULT NOW(),
     outcome BOOLEAN NOT NULL  -- TRUE/FALSE for reputation calculations
@@ -46,11 +101,62 @@ CREATE TABLE finalized_scores (
 -- audit_log (PUBLIC blockchain-like transparency)
 CREATE TABLE audit_log (
     id SERIAL PRIMARY KEY,
-    action_type TEXT NOT NULL,  -- 'REGISTER', 'SUBMIT', 'VOTE', 'DELETE', 'FINALIZE'
+    action_type TEXT NOT NULL,  -- 'REGISTER', 'SUBMIT', 'VOTE', 'VOTE_CHANGE', 'DELETE', 'FINALIZE',
+                                -- 'COMMENT', 'COMMENT_EDIT', 'COMMENT_DELETE', 'COMMENT_VOTE', 'REPORT', 'AUTO_HIDE', moderator actions: 'MOD_REFINALIZE', 'MOD_HIDE',
+                                -- 'MOD_UNHIDE', 'MOD_QUEUE', 'MOD_REPORTS', 'MOD_RESOLVE_REPORT',
+                                -- 'MOD_CATEGORY', 'ROTATE'
     actor_public_key TEXT,      -- NULL for system actions
     target_id TEXT,             -- rumor_id or reference
     data_hash TEXT NOT NULL,    -- SHA256 of action data
-    timestamp TIMESTAMP DEFAULT NOW()
+    timestamp TIMESTAMP DEFAULT NOW(),
+    prev_hash TEXT,             -- entry_hash of the previous entry (hash chain)
+    entry_hash TEXT             -- SHA256 over prev_hash + this entry's fields
+);
+
+-- audit_checkpoints (server-signed audit chain heads for outside observers)
+CREATE TABLE audit_checkpoints (
+    id SERIAL PRIMARY KEY,
+    head_id INT NOT NULL,
+    head_hash TEXT NOT NULL,
+    signature TEXT NOT NULL,    -- Ed25519 over 'AUDIT_HEAD:<head_id>:<head_hash>'
+    server_public_key TEXT,     -- Key that made the signature
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- reputation_ledger (APPEND-ONLY - one row per finalize, penalty or deletion event)
+-- reputation as of any time = SUM(delta) WHERE created_at <= that time
+CREATE TABLE reputation_ledger (
+    id SERIAL PRIMARY KEY,
+    public_key TEXT REFERENCES users(public_key),
+    delta NUMERIC NOT NULL,
+    event_type TEXT NOT NULL,   -- 'FINALIZE', 'REFINALIZE', 'EVIDENCE', 'PENALTY', 'DELETION', 'ROTATION'
+    rumor_id INT,               -- no FK: rows outlive deleted rumors
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- used_nonces (DISPOSABLE - replay protection for signed actions, purged once expired)
+CREATE TABLE used_nonces (
+    public_key TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY(public_key, nonce)
+);
+
+-- reports (signed reports on rumors and comments; open while resolved_at IS NULL)
+CREATE TABLE reports (
+    id SERIAL PRIMARY KEY,
+    target_type TEXT NOT NULL,  -- 'rumor' or 'comment'
+    target_id INT NOT NULL,
+    reporter_public_key TEXT REFERENCES users(public_key),
+    reason TEXT NOT NULL,       -- 'doxxing', 'harassment', 'spam', 'illegal_content', 'personal_info'
+    details TEXT,
+    weight NUMERIC NOT NULL,    -- reporter's capped reputation when reporting
+    created_at TIMESTAMP DEFAULT NOW(),
+    resolved_at TIMESTAMP,
+    resolved_by TEXT,           -- moderator public key
+    resolution TEXT,            -- 'upheld' or 'dismissed'
+    UNIQUE(target_type, target_id, reporter_public_key)
 );
 
 -- comments table (anonymous discussion on rumors)
@@ -59,15 +165,80 @@ CREATE TABLE IF NOT EXISTS comments (
     rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
     commenter_public_key TEXT REFERENCES users(public_key),
     content TEXT NOT NULL,
-    image_url TEXT,
+    image_url TEXT,             -- legacy inline base64 images (migrated to media)
+    image_hash TEXT,            -- SHA256 of the image bytes, covered by the signature
+    media_id TEXT,              -- media.id of the attached image
+    created_at TIMESTAMP DEFAULT NOW(),
+    hidden_at TIMESTAMP,        -- set while hidden by a moderator pending review
+    hidden_by TEXT,             -- moderator public key
+    hidden_reason TEXT,
+    parent_id INT REFERENCES comments(id) ON DELETE CASCADE,  -- NULL for top-level comments
+    depth INT NOT NULL DEFAULT 0,  -- 0 = top-level, capped by COMMENT_MAX_DEPTH
+    edited_at TIMESTAMP,        -- last signed edit (each version's hash is in the audit log)
+    deleted_at TIMESTAMP        -- set on tombstones: deleted comments that still have replies
+);
+
+-- comment_votes (helpful / unhelpful votes on comments; weighted by voter reputation)
+CREATE TABLE comment_votes (
+    comment_id INT REFERENCES comments(id) ON DELETE CASCADE,
+    voter_public_key TEXT REFERENCES users(public_key),
+    helpful BOOLEAN NOT NULL,
+    voted_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY(comment_id, voter_public_key)
+);
+
+-- notifications (private per-key inbox; fetched and marked read with signed requests)
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    public_key TEXT REFERENCES users(public_key),  -- recipient
+    type TEXT NOT NULL,         -- 'rumor_finalized', 'rumor_comment', 'comment_reply', 'rumor_reported', 'rumor_hidden',
+                                -- watch list: 'watch_new_rumor', 'watch_comment', 'watch_finalized'
+    rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
+    comment_id INT REFERENCES comments(id) ON DELETE CASCADE,
+    data JSONB NOT NULL DEFAULT '{}',  -- e.g. outcome, correct and reputation delta for rumor_finalized
+    created_at TIMESTAMP DEFAULT NOW(),
+    read_at TIMESTAMP
+);
+
+-- watches (private watch list: one rumor or one category per row; never audited)
+CREATE TABLE watches (
+    id SERIAL PRIMARY KEY,
+    public_key TEXT REFERENCES users(public_key),
+    rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
+    category TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CHECK ((rumor_id IS NULL) <> (category IS NULL)),
+    UNIQUE(public_key, rumor_id),
+    UNIQUE(public_key, category)
+);
+
+-- used_pow_challenges (DISPOSABLE - spent registration challenges, purged once expired)
+CREATE TABLE used_pow_challenges (
+    challenge TEXT PRIMARY KEY,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- media (content-addressed uploads; bytes live in the media store, id = SHA256 of stored bytes)
+CREATE TABLE media (
+    id TEXT PRIMARY KEY,
+    mime_type TEXT NOT NULL,
+    size_bytes INT NOT NULL,
+    width INT,
+    height INT,
     created_at TIMESTAMP DEFAULT NOW()
 );
 
 -- indexes for performance
 CREATE INDEX idx_rumors_deadline ON rumors(deadline);
+CREATE INDEX idx_rumors_created ON rumors(created_at);
+CREATE INDEX idx_rumors_search ON rumors USING GIN(search_vector);
 CREATE INDEX idx_votes_rumor ON votes(rumor_id);
 CREATE INDEX idx_votes_voter ON votes(voter_public_key);
 CREATE INDEX idx_users_created ON users(created_at);
 CREATE INDEX idx_audit_timestamp ON audit_log(timestamp);
 CREATE INDEX idx_finalized_rumor ON finalized_scores(rumor_id);
 CREATE INDEX idx_comments_rumor ON comments(rumor_id);
+CREATE INDEX idx_ledger_key_time ON reputation_ledger(public_key, created_at);
+CREATE INDEX idx_used_nonces_expiry ON used_nonces(expires_at);
+CREATE INDEX idx_reports_open ON reports(target_type, target_id) WHERE resolved_at IS NULL;
+CREATE INDEX idx_notifications_recipient ON notifications(public_key, created_at);
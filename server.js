@@ -3,14 +3,17 @@ const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
 const nacl = require('tweetnacl');
-const { decodeUTF8, decodeBase64 } = require('tweetnacl-util');
+const { decodeUTF8, decodeBase64, encodeBase64 } = require('tweetnacl-util');
 const crypto = require('crypto');
 const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const sharp = require('sharp');
 require('dotenv').config();
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: '5mb' }));
+app.use(express.json({ limit: '100kb' })); // Images go through /api/media, not JSON
 
 const db = new Pool({
     connectionString: process.env.DATABASE_URL || 'postgresql://localhost/rumor_system',
@@ -37,9 +40,48 @@ db.query('SELECT NOW()', (err, res) => {
             db.query('CREATE INDEX IF NOT EXISTS idx_comments_rumor ON comments(rumor_id)').catch(() => {});
             // Add image_url column if table already existed without it
             db.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS image_url TEXT').catch(() => {});
+            // SHA-256 of the attached image bytes (covered by the comment signature)
+            db.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS image_hash TEXT').catch(() => {});
+            // Reference into the media store (replaces inline base64 image_url)
+            db.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS media_id TEXT').catch(() => {});
+            // Threaded replies (parent_id is covered by the comment signature)
+            db.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS parent_id INT REFERENCES comments(id) ON DELETE CASCADE').catch(() => {});
+            db.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS depth INT NOT NULL DEFAULT 0').catch(() => {});
+            // Signed edits and deletions (deleted comments with replies stay as tombstones)
+            db.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP').catch(() => {});
+            db.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP').catch(() => {});
+            // Helpful / unhelpful votes on comments (needs the comments table)
+            db.query(`
+                CREATE TABLE IF NOT EXISTS comment_votes (
+                    comment_id INT REFERENCES comments(id) ON DELETE CASCADE,
+                    voter_public_key TEXT REFERENCES users(public_key),
+                    helpful BOOLEAN NOT NULL,
+                    voted_at TIMESTAMP DEFAULT NOW(),
+                    PRIMARY KEY(comment_id, voter_public_key)
+                )
+            `).catch(e => console.error('Comment votes table creation error:', e.message));
+            // Personal notifications (reference rumors and comments)
+            db.query(`
+                CREATE TABLE IF NOT EXISTS notifications (
+                    id SERIAL PRIMARY KEY,
+                    public_key TEXT REFERENCES users(public_key),
+                    type TEXT NOT NULL,
+                    rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
+                    comment_id INT REFERENCES comments(id) ON DELETE CASCADE,
+                    data JSONB NOT NULL DEFAULT '{}',
+                    created_at TIMESTAMP DEFAULT NOW(),
+                    read_at TIMESTAMP
+                )
+            `).then(() => {
+                db.query('CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON notifications(public_key, created_at)').catch(() => {});
+            }).catch(e => console.error('Notifications table creation error:', e.message));
         }).catch(e => console.error('Comments table creation error:', e.message));
 
-        // Auto-create reputation_penalties table for persistent deletion penalties
+        // Keep the unweighted ratio next to the reputation-weighted score
+        db.query('ALTER TABLE finalized_scores ADD COLUMN IF NOT EXISTS raw_score FLOAT').catch(() => {});
+
+        // Legacy reputation_penalties table (superseded by reputation_ledger,
+        // still read once when the ledger is backfilled)
         db.query(`
             CREATE TABLE IF NOT EXISTS reputation_penalties (
                 id SERIAL PRIMARY KEY,
@@ -48,24 +90,215 @@ db.query('SELECT NOW()', (err, res) => {
                 reason TEXT,
                 created_at TIMESTAMP DEFAULT NOW()
             )
-        `).catch(e => console.error('Penalties table creation error:', e.message));
+        `).then(() => {
+            // Auto-create reputation_ledger (one row per reputation event, append-only)
+            return db.query(`
+                CREATE TABLE IF NOT EXISTS reputation_ledger (
+                    id SERIAL PRIMARY KEY,
+                    public_key TEXT REFERENCES users(public_key),
+                    delta NUMERIC NOT NULL,
+                    event_type TEXT NOT NULL,
+                    rumor_id INT,
+                    reason TEXT,
+                    created_at TIMESTAMP DEFAULT NOW()
+                )
+            `);
+        }).then(async () => {
+            await db.query('CREATE INDEX IF NOT EXISTS idx_ledger_key_time ON reputation_ledger(public_key, created_at)');
+            await backfillReputationLedger();
+        }).catch(e => console.error('Reputation ledger creation error:', e.message));
+
+        // Auto-create vote_revisions table (every signed vote, change and retraction)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS vote_revisions (
+                rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
+                voter_public_key TEXT REFERENCES users(public_key),
+                revision INT NOT NULL,
+                vote_value BOOLEAN,
+                created_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY(rumor_id, voter_public_key, revision)
+            )
+        `).then(() => {
+            // Votes cast before revisions existed become revision 0
+            db.query(
+                'INSERT INTO vote_revisions (rumor_id, voter_public_key, revision, vote_value, created_at) SELECT rumor_id, voter_public_key, 0, vote_value, voted_at FROM votes ON CONFLICT DO NOTHING'
+            ).catch(() => {});
+        }).catch(e => console.error('Vote revisions table creation error:', e.message));
+
+        // Hash chain columns for audit_log (rows before this have no entry_hash)
+        db.query('ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS prev_hash TEXT').catch(() => {});
+        db.query('ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS entry_hash TEXT').catch(() => {});
+
+        // Auto-create audit_checkpoints table (periodically signed chain heads)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS audit_checkpoints (
+                id SERIAL PRIMARY KEY,
+                head_id INT NOT NULL,
+                head_hash TEXT NOT NULL,
+                signature TEXT NOT NULL,
+                server_public_key TEXT,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `).then(() => {
+            // Key that signed each checkpoint (rows before this were signed by whatever key was current)
+            db.query('ALTER TABLE audit_checkpoints ADD COLUMN IF NOT EXISTS server_public_key TEXT').catch(() => {});
+        }).catch(e => console.error('Audit checkpoints table creation error:', e.message));
+
+        // Auto-create media table (content-addressed uploads, bytes live in the media store)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS media (
+                id TEXT PRIMARY KEY,
+                mime_type TEXT NOT NULL,
+                size_bytes INT NOT NULL,
+                width INT,
+                height INT,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `).then(async () => {
+            await db.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS media_id TEXT');
+            await migrateInlineCommentImages();
+        }).catch(e => console.error('Media table creation error:', e.message));
+
+        // Full-text search over rumor content (Postgres tsvector)
+        db.query(
+            "ALTER TABLE rumors ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', content)) STORED"
+        ).then(() => {
+            db.query('CREATE INDEX IF NOT EXISTS idx_rumors_search ON rumors USING GIN(search_vector)').catch(() => {});
+            db.query('CREATE INDEX IF NOT EXISTS idx_rumors_created ON rumors(created_at)').catch(() => {});
+        }).catch(e => console.error('Rumor search column error:', e.message));
+
+        // Moderation: rumors and comments can be hidden pending review
+        for (const table of ['rumors', 'comments']) {
+            db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP`).catch(() => {});
+            db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS hidden_by TEXT`).catch(() => {});
+            db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS hidden_reason TEXT`).catch(() => {});
+        }
+
+        // Auto-create rumor_media table (evidence images attached to rumors)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS rumor_media (
+                rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
+                media_id TEXT NOT NULL,
+                position INT NOT NULL,
+                PRIMARY KEY(rumor_id, position)
+            )
+        `).catch(e => console.error('Rumor media table creation error:', e.message));
+
+        // Auto-create used_nonces table (replay protection for signed actions)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS used_nonces (
+                public_key TEXT NOT NULL,
+                nonce TEXT NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                PRIMARY KEY(public_key, nonce)
+            )
+        `).then(() => {
+            db.query('CREATE INDEX IF NOT EXISTS idx_used_nonces_expiry ON used_nonces(expires_at)').catch(() => {});
+        }).catch(e => console.error('Used nonces table creation error:', e.message));
+
+        // Auto-create reports table (signed reports on rumors and comments)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS reports (
+                id SERIAL PRIMARY KEY,
+                target_type TEXT NOT NULL,
+                target_id INT NOT NULL,
+                reporter_public_key TEXT REFERENCES users(public_key),
+                reason TEXT NOT NULL,
+                details TEXT,
+                weight NUMERIC NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW(),
+                resolved_at TIMESTAMP,
+                resolved_by TEXT,
+                resolution TEXT,
+                UNIQUE(target_type, target_id, reporter_public_key)
+            )
+        `).then(() => {
+            db.query('CREATE INDEX IF NOT EXISTS idx_reports_open ON reports(target_type, target_id) WHERE resolved_at IS NULL').catch(() => {});
+        }).catch(e => console.error('Reports table creation error:', e.message));
+
+        // Auto-create watches table (private watch list: rumors and categories)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS watches (
+                id SERIAL PRIMARY KEY,
+                public_key TEXT REFERENCES users(public_key),
+                rumor_id INT REFERENCES rumors(id) ON DELETE CASCADE,
+                category TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                CHECK ((rumor_id IS NULL) <> (category IS NULL)),
+                UNIQUE(public_key, rumor_id),
+                UNIQUE(public_key, category)
+            )
+        `).catch(e => console.error('Watches table creation error:', e.message));
+
+        // Auto-create categories table (registry with per-category defaults)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS categories (
+                slug TEXT PRIMARY KEY,
+                label TEXT NOT NULL,
+                description TEXT,
+                default_deadline_hours INT NOT NULL DEFAULT 72,
+                min_voter_reputation NUMERIC NOT NULL DEFAULT 0,
+                position INT NOT NULL DEFAULT 0,
+                active BOOLEAN NOT NULL DEFAULT TRUE
+            )
+        `).then(async () => {
+            for (const [position, c] of DEFAULT_CATEGORIES.entries()) {
+                await db.query(
+                    `INSERT INTO categories (slug, label, description, default_deadline_hours, min_voter_reputation, position)
+                     VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (slug) DO NOTHING`,
+                    [c.slug, c.label, c.description, c.default_deadline_hours, c.min_voter_reputation, position]
+                );
+            }
+            // Free-text categories from before the registry: match known ones
+            // case-insensitively, everything else becomes 'general'
+            await db.query(
+                `UPDATE rumors r SET category = COALESCE(
+                    (SELECT c.slug FROM categories c WHERE c.slug = LOWER(TRIM(r.category))), 'general')
+                 WHERE r.category IS NULL OR r.category NOT IN (SELECT slug FROM categories)`
+            );
+            // Same constraints as a fresh schema.sql (fails harmlessly once they exist)
+            await db.query(`ALTER TABLE rumors ALTER COLUMN category SET NOT NULL, ALTER COLUMN category SET DEFAULT 'general'`).catch(() => {});
+            await db.query('ALTER TABLE rumors ADD CONSTRAINT rumors_category_fkey FOREIGN KEY (category) REFERENCES categories(slug)').catch(() => {});
+        }).catch(e => console.error('Categories table creation error:', e.message));
+
+        // Auto-create key_rotations table (public key lineage)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS key_rotations (
+                old_public_key TEXT PRIMARY KEY REFERENCES users(public_key),
+                new_public_key TEXT UNIQUE NOT NULL REFERENCES users(public_key),
+                envelope TEXT NOT NULL,
+                signature TEXT NOT NULL,
+                new_envelope TEXT NOT NULL,
+                new_signature TEXT NOT NULL,
+                rotated_at TIMESTAMP DEFAULT NOW()
+            )
+        `).catch(e => console.error('Key rotations table creation error:', e.message));
+
+        // Auto-create used_pow_challenges table (registration challenges are single-use)
+        db.query(`
+            CREATE TABLE IF NOT EXISTS used_pow_challenges (
+                challenge TEXT PRIMARY KEY,
+                expires_at TIMESTAMP NOT NULL
+            )
+        `).catch(e => console.error('PoW challenges table creation error:', e.message));
     }
 });
 
 // ==================== HELPER FUNCTIONS ====================
 
 // Proof-of-work verification (FR7.1 - anti-bot)
-function verifyPoW(publicKey, nonce, difficulty = 4) {
+function verifyPoW(publicKey, nonce, difficulty = 4, challenge = '') {
     const hash = crypto.createHash('sha256')
-        .update(publicKey + nonce.toString())
+        .update(challenge + publicKey + nonce.toString())
         .digest('hex');
     return hash.startsWith('0'.repeat(difficulty));
 }
 
-// Hash IP with daily salt (NFR1.1 compliant, FR7.2 pattern detection)
-function hashIP(req) {
+// Hash IP with daily salt (NFR1.1 compliant, FR7.2 pattern detection).
+// `at` picks the day whose salt is used (default today).
+function hashIP(req, at = new Date()) {
     const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.ip || 'unknown';
-    const salt = new Date().toISOString().split('T')[0];
+    const salt = at.toISOString().split('T')[0];
     return crypto.createHash('sha256').update(ip + salt).digest('hex').substring(0, 16);
 }
 
@@ -87,25 +320,415 @@ function isPastProbation(createdAt) {
     return Date.now() - new Date(createdAt).getTime() >= 1 * 60 * 1000; // 60 seconds
 }
 
+// ==================== SIGNED ACTION ENVELOPES ====================
+
+// Every signed action uses one canonical, versioned envelope:
+//   ACR-SIG-v1|<domain>|<action>|<target>|<sha256(payload)>|<timestamp ms>|<nonce>
+// The domain pins signatures to this service, the timestamp bounds how long a
+// signature is usable, and each (key, nonce) pair is accepted only once.
+const SIGNATURE_VERSION = 'ACR-SIG-v1';
+const SIGNING_DOMAIN = process.env.SIGNING_DOMAIN || 'anonymous-campus-rumors';
+const SIGNATURE_FRESHNESS_MS = 5 * 60 * 1000; // 5 minutes either side of server time
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function canonicalEnvelope(envelope) {
+    return [
+        envelope.version,
+        envelope.domain,
+        envelope.action,
+        envelope.target,
+        envelope.content_hash,
+        envelope.timestamp,
+        envelope.nonce
+    ].join('|');
+}
+
+// Check a signed action against what the route expects.
+// Returns null when valid, otherwise { status, error, code } for the response.
+async function verifySignedAction(body, { publicKey, action, target = '', payload = '' }) {
+    const { envelope, signature } = body;
+    if (!envelope || typeof envelope !== 'object' || !publicKey) {
+        return { status: 401, error: 'Missing signed envelope', code: 'MISSING_ENVELOPE' };
+    }
+    if (envelope.version !== SIGNATURE_VERSION) {
+        return { status: 400, error: 'Unsupported signature version', code: 'UNSUPPORTED_VERSION' };
+    }
+    if (envelope.domain !== SIGNING_DOMAIN) {
+        return { status: 401, error: 'Signature is for a different service', code: 'WRONG_DOMAIN' };
+    }
+    if (envelope.action !== action || String(envelope.target) !== String(target)) {
+        return { status: 401, error: 'Signature does not cover this action', code: 'ACTION_MISMATCH' };
+    }
+    if (envelope.content_hash !== sha256Hex(payload)) {
+        return { status: 401, error: 'Signed content hash mismatch', code: 'CONTENT_MISMATCH' };
+    }
+    if (typeof envelope.nonce !== 'string' || !/^[0-9a-f]{32,64}$/.test(envelope.nonce)) {
+        return { status: 400, error: 'Invalid nonce', code: 'INVALID_NONCE' };
+    }
+
+    const timestamp = Number(envelope.timestamp);
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > SIGNATURE_FRESHNESS_MS) {
+        return { status: 401, error: 'Signature expired or clock skew too large', code: 'STALE_SIGNATURE' };
+    }
+
+    if (!verifySignature(canonicalEnvelope(envelope), signature, publicKey)) {
+        return { status: 401, error: 'Invalid signature', code: 'INVALID_SIGNATURE' };
+    }
+
+    // A rotated-away key can no longer act, even with a valid signature
+    const retired = await db.query('SELECT 1 FROM key_rotations WHERE old_public_key = $1', [publicKey]);
+    if (retired.rows.length > 0) {
+        return { status: 403, error: 'This key was rotated and is retired', code: 'KEY_RETIRED' };
+    }
+
+    // Nonces only need remembering while the timestamp is still fresh
+    const inserted = await db.query(
+        'INSERT INTO used_nonces (public_key, nonce, expires_at) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+        [publicKey, envelope.nonce, new Date(timestamp + SIGNATURE_FRESHNESS_MS)]
+    );
+    if (inserted.rowCount === 0) {
+        return { status: 409, error: 'Signature already used', code: 'REPLAYED_NONCE' };
+    }
+
+    return null;
+}
+
+// Drop nonces whose signatures can no longer pass the freshness check, and
+// registration challenges that have expired anyway
+setInterval(() => {
+    db.query('DELETE FROM used_nonces WHERE expires_at < NOW()').catch(() => {});
+    db.query('DELETE FROM used_pow_challenges WHERE expires_at < NOW()').catch(() => {});
+}, 10 * 60 * 1000);
+
+// ==================== AUDIT HASH CHAIN ====================
+
+// Each audit entry hashes its own fields plus the previous entry's hash, so
+// editing or deleting any row breaks every link after it
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+const AUDIT_CHAIN_LOCK = 424242; // pg advisory lock id serializing appends
+
+// Server key that signs published chain heads. AUDIT_SIGNING_SEED (base64,
+// 32 bytes) keeps it stable across restarts so observers can pin it; only
+// development falls back to a temporary key. Each checkpoint also records
+// the key that signed it.
+function loadAuditSigningKey() {
+    const seed = process.env.AUDIT_SIGNING_SEED;
+    if (seed) {
+        const bytes = decodeBase64(seed);
+        if (bytes.length !== nacl.sign.seedLength) {
+            throw new Error(`AUDIT_SIGNING_SEED must decode to ${nacl.sign.seedLength} bytes`);
+        }
+        return nacl.sign.keyPair.fromSeed(bytes);
+    }
+    if (process.env.NODE_ENV !== 'development') {
+        throw new Error('AUDIT_SIGNING_SEED is not set (base64, 32 bytes) - required outside development');
+    }
+    console.warn('AUDIT_SIGNING_SEED not set - audit heads are signed with a temporary key (development only)');
+    return nacl.sign.keyPair();
+}
+const auditSigningKey = loadAuditSigningKey();
+
+function computeAuditEntryHash(entry) {
+    return crypto.createHash('sha256')
+        .update([
+            entry.prev_hash,
+            entry.action_type,
+            entry.actor_public_key || '',
+            entry.target_id || '',
+            entry.data_hash,
+            new Date(entry.timestamp).toISOString()
+        ].join('|'))
+        .digest('hex');
+}
+
+// Append an entry to the public audit log, linked to the current chain head
+async function appendAuditLog(actionType, actorPublicKey, targetId, dataHash) {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1)', [AUDIT_CHAIN_LOCK]);
+
+        const prev = await client.query(
+            'SELECT entry_hash FROM audit_log WHERE entry_hash IS NOT NULL ORDER BY id DESC LIMIT 1'
+        );
+        const entry = {
+            prev_hash: prev.rows[0] ? prev.rows[0].entry_hash : AUDIT_GENESIS_HASH,
+            action_type: actionType,
+            actor_public_key: actorPublicKey,
+            target_id: targetId,
+            data_hash: dataHash,
+            timestamp: new Date()
+        };
+        entry.entry_hash = computeAuditEntryHash(entry);
+
+        await client.query(
+            'INSERT INTO audit_log (action_type, actor_public_key, target_id, data_hash, timestamp, prev_hash, entry_hash) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+            [entry.action_type, entry.actor_public_key, entry.target_id, entry.data_hash, entry.timestamp, entry.prev_hash, entry.entry_hash]
+        );
+        await client.query('COMMIT');
+        return entry;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Sign the current chain head so outside observers can pin and compare it
+async function publishAuditHead() {
+    const head = await db.query(
+        'SELECT id, entry_hash FROM audit_log WHERE entry_hash IS NOT NULL ORDER BY id DESC LIMIT 1'
+    );
+    if (!head.rows[0]) return;
+
+    const last = await db.query('SELECT head_id FROM audit_checkpoints ORDER BY id DESC LIMIT 1');
+    if (last.rows[0] && last.rows[0].head_id === head.rows[0].id) return; // Nothing new
+
+    const message = `AUDIT_HEAD:${head.rows[0].id}:${head.rows[0].entry_hash}`;
+    const signature = encodeBase64(nacl.sign.detached(decodeUTF8(message), auditSigningKey.secretKey));
+    await db.query(
+        'INSERT INTO audit_checkpoints (head_id, head_hash, signature, server_public_key) VALUES ($1, $2, $3, $4)',
+        [head.rows[0].id, head.rows[0].entry_hash, signature, encodeBase64(auditSigningKey.publicKey)]
+    );
+}
+
+// Publish every 10 minutes
+setInterval(() => {
+    publishAuditHead().catch(e => console.error('Audit head publish error:', e.message));
+}, 10 * 60 * 1000);
+
+// ==================== CONTENT SCREENING ====================
+
+// Local PII / doxxing screening for rumors and comments ("Zero PII Stored").
+// Each screener maps text to findings { rule, action, message, start, end }
+// and the most severe action decides the outcome:
+//   block  - rejected with 422
+//   review - stored but hidden pending moderator review
+//   redact - stored with the matched spans replaced
+// Campuses override rules and the names dictionary with a JSON file named by
+// SCREENING_CONFIG (see screening.example.json); set a rule to null to drop it.
+const SCREENING_SEVERITY = { allow: 0, redact: 1, review: 2, block: 3 };
+const REDACTION_MARK = '[redacted]';
+
+const DEFAULT_SCREENING_CONFIG = {
+    rules: {
+        email: {
+            pattern: '[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}',
+            action: 'redact',
+            message: 'Looks like an email address'
+        },
+        phone: {
+            pattern: '(?:\\+?\\d{1,3}[\\s.-]?)?(?:\\(\\d{3}\\)|\\b\\d{3})[\\s.-]?\\d{3}[\\s.-]?\\d{4}\\b',
+            action: 'redact',
+            message: 'Looks like a phone number'
+        },
+        // Only next to an ID label: a bare 7-9 digit number is as likely a date,
+        // price or order number. Campuses with a distinctive ID format should
+        // configure it (with action 'block') in SCREENING_CONFIG.
+        student_id: {
+            pattern: '\\b(?:student(?:\\s*(?:id|no|number|#))?|sid|id(?:\\s*(?:no|number|#))?)\\W{0,3}\\d{7,9}\\b',
+            action: 'review',
+            message: 'Looks like a student ID number'
+        },
+        room: {
+            pattern: '\\b(?:room|rm|dorm|apt|apartment|suite)\\.?\\s*#?\\s*[A-Z]?\\d{1,4}[A-Z]?\\b',
+            action: 'review',
+            message: 'Mentions a specific room'
+        }
+    },
+    // Case-sensitive whole-word matches, e.g. the campus student directory
+    names: { words: [], action: 'review', message: 'Names a person' }
+};
+
+function loadScreeningConfig() {
+    if (!process.env.SCREENING_CONFIG) return DEFAULT_SCREENING_CONFIG;
+    const custom = JSON.parse(fs.readFileSync(process.env.SCREENING_CONFIG, 'utf8'));
+    return {
+        rules: { ...DEFAULT_SCREENING_CONFIG.rules, ...custom.rules },
+        names: { ...DEFAULT_SCREENING_CONFIG.names, ...custom.names }
+    };
+}
+
+function regexScreener(rule, { pattern, flags = 'i', action, message }) {
+    const regex = new RegExp(pattern, flags.includes('g') ? flags : flags + 'g');
+    return (text) => [...text.matchAll(regex)].map(m => ({
+        rule, action, message, start: m.index, end: m.index + m[0].length
+    }));
+}
+
+function dictionaryScreener(rule, { words, action, message }) {
+    if (!words || words.length === 0) return () => [];
+    const escaped = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return regexScreener(rule, { pattern: `\\b(?:${escaped.join('|')})\\b`, flags: '', action, message });
+}
+
+// The screening pipeline. Any (text) => findings[] function can be added.
+const contentScreeners = (() => {
+    const config = loadScreeningConfig();
+    return [
+        ...Object.entries(config.rules)
+            .filter(([, rule]) => rule)
+            .map(([name, rule]) => regexScreener(name, rule)),
+        dictionaryScreener('name', config.names)
+    ];
+})();
+
+// Replace redact-action spans (merged where they overlap)
+function redactFindings(text, findings) {
+    const spans = findings.filter(f => f.action === 'redact').sort((a, b) => a.start - b.start);
+    let result = '';
+    let cursor = 0;
+    for (const span of spans) {
+        if (span.end <= cursor) continue; // Inside the previous span
+        if (span.start >= cursor) {
+            result += text.slice(cursor, span.start) + REDACTION_MARK;
+        }
+        cursor = span.end; // Overlapping spans share one mark
+    }
+    return result + text.slice(cursor);
+}
+
+function screenContent(text) {
+    const reasons = contentScreeners
+        .flatMap(screen => screen(text))
+        .sort((a, b) => a.start - b.start);
+    const outcome = reasons.reduce(
+        (worst, r) => (SCREENING_SEVERITY[r.action] > SCREENING_SEVERITY[worst] ? r.action : worst),
+        'allow'
+    );
+    return { outcome, reasons, content: redactFindings(text, reasons) };
+}
+
+// Why held content is hidden, for the moderation queue
+const screeningHoldReason = (screening) => screening.outcome === 'review'
+    ? `Held by content screening: ${[...new Set(screening.reasons.filter(r => r.action === 'review').map(r => r.message))].join(', ')}`
+    : null;
+
+// Preview screening so clients can warn before the user signs
+app.post('/api/screen', (req, res) => {
+    const { text } = req.body;
+    if (typeof text !== 'string' || text.length > 1000) {
+        return res.status(400).json({ error: 'Text required (max 1000 characters)' });
+    }
+    res.json(screenContent(text));
+});
+
 // ==================== USER REGISTRATION ====================
 
+// Proof-of-work challenges. The server hands out a random challenge with an
+// expiry and a difficulty, signed with the server key and bound to the
+// requester's IP hash; registration must solve exactly that challenge, once:
+//   sha256(challenge + public_key + nonce) starts with <difficulty> zero hex digits
+// so work can't be done ahead of time, and the difficulty is set before the
+// work starts rather than checked after the fact.
+const POW_BASE_DIFFICULTY = 4;
+const POW_MAX_DIFFICULTY = 6;
+const POW_CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const POW_IP_REGISTRATIONS_PER_STEP = 3;   // FR7.3: +1 per this many registrations from the IP hash in the last hour
+const POW_LOAD_THRESHOLD = parseInt(process.env.POW_LOAD_THRESHOLD || '30', 10); // Registrations per 10 minutes, all IPs
+
+function powChallengeMessage({ challenge, difficulty, expires_at }, ipHash) {
+    return `POW_CHALLENGE:${challenge}:${difficulty}:${expires_at}:${ipHash}`;
+}
+
+// FR7.2/FR7.3: harder for IP hashes that keep registering, and for everyone
+// while the whole site is seeing a burst of registrations
+async function choosePowDifficulty(ipHash) {
+    const counts = await db.query(
+        `SELECT COUNT(*) FILTER (WHERE ip_hash = $1 AND created_at > NOW() - INTERVAL '1 hour') AS from_ip,
+                COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '10 minutes') AS recent
+         FROM users WHERE created_at > NOW() - INTERVAL '1 hour'`,
+        [ipHash]
+    );
+    const fromIp = parseInt(counts.rows[0].from_ip, 10);
+    const recent = parseInt(counts.rows[0].recent, 10);
+
+    let difficulty = POW_BASE_DIFFICULTY + Math.floor(fromIp / POW_IP_REGISTRATIONS_PER_STEP);
+    if (recent >= POW_LOAD_THRESHOLD) difficulty++;
+    return Math.min(POW_MAX_DIFFICULTY, difficulty);
+}
+
+function powChallengeSignedFor(challenge, ipHash) {
+    try {
+        return nacl.sign.detached.verify(
+            decodeUTF8(powChallengeMessage(challenge, ipHash)),
+            decodeBase64(challenge.signature),
+            auditSigningKey.publicKey
+        );
+    } catch {
+        return false;
+    }
+}
+
+// Returns null when the challenge is valid for this request, otherwise { status, error, code }.
+// Challenges are signed with the audit key, which AUDIT_SIGNING_SEED keeps
+// stable across restarts (see loadAuditSigningKey).
+function checkPowChallenge(challenge, req) {
+    if (!challenge || typeof challenge !== 'object' || typeof challenge.challenge !== 'string'
+        || !Number.isInteger(challenge.difficulty) || !Number.isInteger(challenge.expires_at)) {
+        return { status: 400, error: 'Registration needs a challenge from GET /api/register/challenge', code: 'MISSING_CHALLENGE' };
+    }
+    const expired = { status: 400, error: 'Challenge expired - fetch a new one', code: 'CHALLENGE_EXPIRED' };
+    if (!powChallengeSignedFor(challenge, hashIP(req))) {
+        // Bound to the IP hash of the day it was issued; once the daily salt
+        // rotates it can't match any more, so treat it as expired
+        const issuedAt = new Date(challenge.expires_at - POW_CHALLENGE_TTL_MS);
+        const today = new Date().toISOString().split('T')[0];
+        if (!Number.isNaN(issuedAt.getTime()) && issuedAt.toISOString().split('T')[0] !== today
+            && powChallengeSignedFor(challenge, hashIP(req, issuedAt))) {
+            return expired;
+        }
+        return { status: 400, error: 'Challenge was not issued to this client', code: 'INVALID_CHALLENGE' };
+    }
+    if (challenge.expires_at < Date.now()) {
+        return expired;
+    }
+    return null;
+}
+
+app.get('/api/register/challenge', async (req, res) => {
+    try {
+        const ipHash = hashIP(req);
+        const issued = {
+            challenge: crypto.randomBytes(16).toString('hex'),
+            difficulty: await choosePowDifficulty(ipHash),
+            expires_at: Date.now() + POW_CHALLENGE_TTL_MS
+        };
+        const signature = encodeBase64(nacl.sign.detached(decodeUTF8(powChallengeMessage(issued, ipHash)), auditSigningKey.secretKey));
+
+        res.json({ ...issued, signature });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to issue challenge' });
+    }
+});
+
 // FR1: Anonymous Account Creation
 app.post('/api/register', async (req, res) => {
     try {
-        const { public_key, nonce } = req.body;
+        const { public_key, nonce, challenge } = req.body;
         const ipHash = hashIP(req);
 
-        // FR7.2: Detect rapid account creation
-        const recent = await db.query(
-            'SELECT COUNT(*) FROM users WHERE ip_hash = $1 AND created_at > NOW() - INTERVAL \'1 hour\'',
-            [ipHash]
-        );
-        
-        const difficulty = parseInt(recent.rows[0].count) > 2 ? 5 : 4; // FR7.3
+        const challengeError = checkPowChallenge(challenge, req);
+        if (challengeError) {
+            return res.status(challengeError.status).json({ error: challengeError.error, code: challengeError.code });
+        }
+
+        // FR7.1: Verify proof-of-work against the issued challenge
+        if (nonce === undefined || nonce === null || !verifyPoW(public_key, nonce, challenge.difficulty, challenge.challenge)) {
+            return res.status(400).json({ error: 'Invalid proof-of-work', difficulty: challenge.difficulty });
+        }
 
-        // FR7.1: Verify proof-of-work
-        if (!verifyPoW(public_key, nonce, difficulty)) {
-            return res.status(400).json({ error: 'Invalid proof-of-work', difficulty });
+        // Spend the challenge; a second registration with it is rejected
+        const spent = await db.query(
+            'INSERT INTO used_pow_challenges (challenge, expires_at) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [challenge.challenge, new Date(challenge.expires_at)]
+        );
+        if (spent.rowCount === 0) {
+            return res.status(409).json({ error: 'Challenge already used - fetch a new one', code: 'CHALLENGE_USED' });
         }
 
         // FR1.3: Create without reputation (calculated on-demand)
@@ -115,10 +738,7 @@ app.post('/api/register', async (req, res) => {
         );
 
         // Add to public audit log
-        await db.query(
-            'INSERT INTO audit_log (action_type, actor_public_key, data_hash) VALUES ($1, $2, $3)',
-            ['REGISTER', public_key, crypto.createHash('sha256').update(public_key).digest('hex')]
-        );
+        await appendAuditLog('REGISTER', public_key, null, crypto.createHash('sha256').update(public_key).digest('hex'));
 
         res.json({ 
             success: true, 
@@ -130,12 +750,187 @@ app.post('/api/register', async (req, res) => {
     }
 });
 
+// ==================== KEY ROTATION ====================
+
+// The old key signs ROTATE naming the new key, and the new key countersigns
+// ROTATE_ACCEPT naming the old one (so nobody rotates onto a key they don't
+// hold). Both envelopes are kept in key_rotations, so anyone can re-verify the
+// lineage from GET /api/user/:publicKey/lineage.
+//
+// Reputation carries over by copying the old key's ledger rows to the new key
+// with their original timestamps (point-in-time vote weights stay the same),
+// then zeroing the old key with a ROTATION row. Votes, rumors, comments and the
+// rest of the identity's state move to the new key.
+const ED25519_PUBLIC_KEY_BYTES = 32;
+
+function isPublicKey(key) {
+    if (typeof key !== 'string') return false;
+    try {
+        return decodeBase64(key).length === ED25519_PUBLIC_KEY_BYTES;
+    } catch {
+        return false;
+    }
+}
+
+app.post('/api/keys/rotate', async (req, res) => {
+    try {
+        const { public_key, new_public_key, new_envelope, new_signature } = req.body;
+
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: public_key,
+            action: 'ROTATE',
+            target: new_public_key
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        if (!isPublicKey(new_public_key) || new_public_key === public_key) {
+            return res.status(400).json({ error: 'new_public_key must be a different Ed25519 public key' });
+        }
+        const newSigError = await verifySignedAction({ envelope: new_envelope, signature: new_signature }, {
+            publicKey: new_public_key,
+            action: 'ROTATE_ACCEPT',
+            target: public_key
+        });
+        if (newSigError) {
+            return res.status(newSigError.status).json({ error: `New key: ${newSigError.error}`, code: newSigError.code });
+        }
+
+        const user = await db.query('SELECT created_at, ip_hash FROM users WHERE public_key = $1', [public_key]);
+        if (user.rows.length === 0) {
+            return res.status(403).json({ error: 'User not registered' });
+        }
+
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Probation and rate limiting follow the identity, not the key
+            await client.query(
+                'INSERT INTO users (public_key, created_at, ip_hash) VALUES ($1, $2, $3)',
+                [new_public_key, user.rows[0].created_at, user.rows[0].ip_hash]
+            );
+            await client.query(
+                `INSERT INTO key_rotations (old_public_key, new_public_key, envelope, signature, new_envelope, new_signature)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [public_key, new_public_key, canonicalEnvelope(req.body.envelope), req.body.signature,
+                    canonicalEnvelope(new_envelope), new_signature]
+            );
+
+            await client.query(
+                `INSERT INTO reputation_ledger (public_key, delta, event_type, rumor_id, reason, created_at)
+                 SELECT $2, delta, event_type, rumor_id, reason, created_at
+                 FROM reputation_ledger WHERE public_key = $1 ORDER BY created_at, id`,
+                [public_key, new_public_key]
+            );
+            await client.query(
+                `INSERT INTO reputation_ledger (public_key, delta, event_type, reason)
+                 SELECT $1, -SUM(delta), 'ROTATION', 'Reputation moved to rotated key'
+                 FROM reputation_ledger WHERE public_key = $1 HAVING SUM(delta) <> 0`,
+                [public_key]
+            );
+            await client.query(
+                `INSERT INTO vote_revisions (rumor_id, voter_public_key, revision, vote_value, created_at)
+                 SELECT rumor_id, $2, revision, vote_value, created_at FROM vote_revisions WHERE voter_public_key = $1`,
+                [public_key, new_public_key]
+            );
+            for (const [table, column] of [
+                ['votes', 'voter_public_key'],
+                ['rumors', 'creator_public_key'],
+                ['comments', 'commenter_public_key'],
+                ['comment_votes', 'voter_public_key'],
+                ['reports', 'reporter_public_key'],
+                ['notifications', 'public_key'],
+                ['watches', 'public_key']
+            ]) {
+                await client.query(`UPDATE ${table} SET ${column} = $2 WHERE ${column} = $1`, [public_key, new_public_key]);
+            }
+            await client.query('DELETE FROM reputation_cache WHERE public_key = ANY($1)', [[public_key, new_public_key]]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'Key already registered or already rotated', code: 'ROTATION_CONFLICT' });
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await appendAuditLog('ROTATE', public_key, new_public_key, sha256Hex(`${canonicalEnvelope(req.body.envelope)}\n${req.body.signature}`));
+
+        res.json({
+            success: true,
+            public_key: new_public_key,
+            reputation: await getReputationAtTime(new_public_key)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Key rotation failed' });
+    }
+});
+
+// ==================== CATEGORIES ====================
+
+// The category registry lives in the categories table. Each category sets
+// the default voting window for rumors posted without a deadline and the
+// reputation a voter needs to vote in it. These are seeded on first start;
+// moderators can change them afterwards.
+const DEFAULT_CATEGORIES = [
+    { slug: 'general', label: 'General', description: 'Anything that fits nowhere else', default_deadline_hours: 72, min_voter_reputation: 0 },
+    { slug: 'academic', label: 'Academic', description: 'Courses, exams and grading', default_deadline_hours: 72, min_voter_reputation: 0 },
+    { slug: 'events', label: 'Events', description: 'Parties, talks and things happening soon', default_deadline_hours: 48, min_voter_reputation: 0 },
+    { slug: 'sports', label: 'Sports', description: 'Teams, matches and transfers', default_deadline_hours: 48, min_voter_reputation: 0 },
+    { slug: 'campus-life', label: 'Campus Life', description: 'Housing, dining and facilities', default_deadline_hours: 72, min_voter_reputation: 0 },
+    { slug: 'administration', label: 'Administration', description: 'Policy, fees and staff changes', default_deadline_hours: 168, min_voter_reputation: 0 }
+];
+const CATEGORY_SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_DEADLINE_HOURS = 30 * 24; // Same 30-day cap as custom deadlines
+
+async function getCategory(slug) {
+    const result = await db.query('SELECT * FROM categories WHERE slug = $1 AND active', [slug]);
+    return result.rows[0] || null;
+}
+
+const categoryJson = (c) => ({
+    slug: c.slug,
+    label: c.label,
+    description: c.description,
+    default_deadline_hours: c.default_deadline_hours,
+    min_voter_reputation: parseFloat(c.min_voter_reputation)
+});
+
+// Only voters with enough reputation may vote in stricter categories
+async function checkVoterReputation(rumorCategory, voterPublicKey) {
+    const category = await db.query('SELECT min_voter_reputation FROM categories WHERE slug = $1', [rumorCategory]);
+    const required = parseFloat(category.rows[0]?.min_voter_reputation) || 0;
+    if (required <= 0) return null;
+    const reputation = await getReputationAtTime(voterPublicKey);
+    if (reputation >= required) return null;
+    return {
+        error: 'Reputation too low to vote in this category',
+        code: 'REPUTATION_TOO_LOW',
+        required_reputation: required,
+        reputation
+    };
+}
+
+app.get('/api/categories', async (req, res) => {
+    try {
+        const categories = await db.query('SELECT * FROM categories WHERE active ORDER BY position, slug');
+        res.json({ categories: categories.rows.map(categoryJson) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+});
+
 // ==================== RUMOR SUBMISSION ====================
 
 // FR2: Rumor Submission
 app.post('/api/rumors', async (req, res) => {
     try {
-        const { content, category, creator_public_key, event_type = 'current', custom_deadline, signature } = req.body;
+        const { content, category = 'general', creator_public_key, event_type = 'current', custom_deadline, media_ids = [] } = req.body;
 
         // Validate content length (max 1000 characters)
         if (!content || content.length === 0) {
@@ -145,9 +940,36 @@ app.post('/api/rumors', async (req, res) => {
             return res.status(400).json({ error: 'Content too long (max 1000 characters)' });
         }
 
-        // FR2.3: Verify signature
-        if (!verifySignature(`SUBMIT:${content}`, signature, creator_public_key)) {
-            return res.status(401).json({ error: 'Invalid signature' });
+        const categoryRow = typeof category === 'string' ? await getCategory(category) : null;
+        if (!categoryRow) {
+            return res.status(400).json({ error: 'Unknown category', code: 'UNKNOWN_CATEGORY' });
+        }
+
+        // Evidence images must already be uploaded through /api/media
+        if (!Array.isArray(media_ids) || media_ids.length > RUMOR_MAX_IMAGES) {
+            return res.status(400).json({ error: `Up to ${RUMOR_MAX_IMAGES} images per rumor` });
+        }
+        for (const mediaId of media_ids) {
+            if (!(await mediaExists(mediaId))) {
+                return res.status(400).json({ error: 'Unknown media_id (upload the image first)' });
+            }
+        }
+
+        // PII screening. The signature covers what the user wrote; redaction
+        // and review holds only change what gets stored and shown.
+        const screening = screenContent(content);
+        if (screening.outcome === 'block') {
+            return res.status(422).json({ error: 'Content contains personal information', code: 'CONTENT_BLOCKED', screening });
+        }
+
+        // FR2.3: Verify signature (covers content and the evidence image hashes)
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: creator_public_key,
+            action: 'SUBMIT',
+            payload: `${content}\n${media_ids.join(',')}`
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
         }
 
         // FR2.1: Calculate deadline based on event type
@@ -165,23 +987,42 @@ app.post('/api/rumors', async (req, res) => {
                 return res.status(400).json({ error: 'Deadline cannot be more than 30 days in future' });
             }
         } else {
-            // No custom deadline: auto-assign 3 days (72 hours)
-            deadline = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+            // No custom deadline: the category's default window
+            deadline = new Date(Date.now() + categoryRow.default_deadline_hours * 60 * 60 * 1000);
         }
 
         // FR8.1: Immutable voting window
         const result = await db.query(
-            'INSERT INTO rumors (content, category, creator_public_key, deadline) VALUES ($1, $2, $3, $4) RETURNING id, created_at, deadline',
-            [content, category, creator_public_key, deadline]
+            `INSERT INTO rumors (content, category, creator_public_key, deadline, hidden_at, hidden_reason)
+             VALUES ($1, $2, $3, $4, CASE WHEN $5::text IS NULL THEN NULL ELSE NOW() END, $5)
+             RETURNING id, content, created_at, deadline`,
+            [screening.content, category, creator_public_key, deadline, screeningHoldReason(screening)]
         );
 
+        for (const [position, mediaId] of media_ids.entries()) {
+            await db.query(
+                'INSERT INTO rumor_media (rumor_id, media_id, position) VALUES ($1, $2, $3)',
+                [result.rows[0].id, mediaId, position]
+            );
+        }
+
         // Add to public audit log
-        await db.query(
-            'INSERT INTO audit_log (action_type, actor_public_key, target_id, data_hash) VALUES ($1, $2, $3, $4)',
-            ['SUBMIT', creator_public_key, result.rows[0].id.toString(), crypto.createHash('sha256').update(content).digest('hex')]
-        );
+        await appendAuditLog('SUBMIT', creator_public_key, result.rows[0].id.toString(), crypto.createHash('sha256').update(screening.content).digest('hex'));
+
+        const rumor = { ...result.rows[0], media: media_ids.map(mediaRef) };
+        if (screening.outcome !== 'review') {
+            broadcastEvent('rumor-created', {
+                rumor: { ...rumor, category, creator_public_key, vote_count: 0, comment_count: 0 }
+            });
+            await notifyWatchers(rumor.id, 'watch_new_rumor', { exclude: [creator_public_key], data: { category } });
+        }
 
-        res.json({ success: true, rumor: result.rows[0] });
+        res.json({
+            success: true,
+            rumor,
+            held_for_review: screening.outcome === 'review',
+            screening
+        });
     } catch (error) {
         res.status(500).json({ error: 'Submission failed' });
     }
@@ -189,14 +1030,25 @@ app.post('/api/rumors', async (req, res) => {
 
 // ==================== VOTING ====================
 
+async function countVotes(rumorId) {
+    const count = await db.query('SELECT COUNT(*) AS vote_count FROM votes WHERE rumor_id = $1', [rumorId]);
+    return parseInt(count.rows[0].vote_count);
+}
+
 // FR3: Voting Mechanism
 app.post('/api/vote', async (req, res) => {
     try {
-        const { rumor_id, voter_public_key, vote_value, signature } = req.body;
+        const { rumor_id, voter_public_key, vote_value } = req.body;
 
         // FR3.2: Verify signature
-        if (!verifySignature(`VOTE:${rumor_id}:${vote_value}`, signature, voter_public_key)) {
-            return res.status(401).json({ error: 'Invalid signature' });
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: voter_public_key,
+            action: 'VOTE',
+            target: rumor_id,
+            payload: String(vote_value)
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
         }
 
         // Get user
@@ -217,88 +1069,200 @@ app.post('/api/vote', async (req, res) => {
         }
 
         // Get rumor
-        const rumorRes = await db.query('SELECT deadline FROM rumors WHERE id = $1', [rumor_id]);
+        const rumorRes = await db.query('SELECT deadline, hidden_at, category FROM rumors WHERE id = $1', [rumor_id]);
         if (!rumorRes.rows[0]) return res.status(404).json({ error: 'Rumor not found' });
         
         const rumor = rumorRes.rows[0];
+        if (rumor.hidden_at) {
+            return res.status(403).json({ error: 'Rumor is hidden pending review' });
+        }
 
         // FR3.3: Check deadline
         if (Date.now() > new Date(rumor.deadline).getTime()) {
             return res.status(403).json({ error: 'Voting closed' });
         }
 
-        // Check duplicate vote
-        const existing = await db.query('SELECT 1 FROM votes WHERE rumor_id = $1 AND voter_public_key = $2', [rumor_id, voter_public_key]);
+        const repError = await checkVoterReputation(rumor.category, voter_public_key);
+        if (repError) {
+            return res.status(403).json(repError);
+        }
+
+        // Check duplicate vote (changes go through /api/vote/change)
+        const existing = await db.query('SELECT 1 FROM vote_revisions WHERE rumor_id = $1 AND voter_public_key = $2', [rumor_id, voter_public_key]);
         if (existing.rows.length > 0) {
             return res.status(400).json({ error: 'Already voted' });
         }
 
-        // FR3.2: Immutable vote (no reputation snapshot needed)
+        // FR3.2: First revision of the vote (no reputation snapshot needed)
+        await db.query(
+            'INSERT INTO vote_revisions (rumor_id, voter_public_key, revision, vote_value) VALUES ($1, $2, 0, $3)',
+            [rumor_id, voter_public_key, vote_value]
+        );
         await db.query(
             'INSERT INTO votes (rumor_id, voter_public_key, vote_value) VALUES ($1, $2, $3)',
             [rumor_id, voter_public_key, vote_value]
         );
 
         // Add to public audit log
-        await db.query(
-            'INSERT INTO audit_log (action_type, actor_public_key, target_id, data_hash) VALUES ($1, $2, $3, $4)',
-            ['VOTE', voter_public_key, rumor_id.toString(), crypto.createHash('sha256').update(`${rumor_id}:${vote_value}`).digest('hex')]
-        );
+        await appendAuditLog('VOTE', voter_public_key, rumor_id.toString(), crypto.createHash('sha256').update(`${rumor_id}:${vote_value}`).digest('hex'));
 
-        res.json({ success: true });
+        const voteCount = await countVotes(rumor_id);
+        broadcastEvent('vote-count-changed', { rumor_id: Number(rumor_id), vote_count: voteCount });
+
+        res.json({ success: true, revision: 0, vote_count: voteCount });
     } catch (error) {
         res.status(500).json({ error: 'Vote failed' });
     }
 });
 
-// ==================== TRUST SCORE CALCULATION ====================
-
-// FR5: Trust Score Calculation
-app.get('/api/rumors/:id/score', async (req, res) => {
+// FR3.2: Change or retract a vote until the deadline.
+// vote_value null = retraction. The latest revision is the one that counts;
+// every revision is kept in vote_revisions and the audit log.
+app.post('/api/vote/change', async (req, res) => {
     try {
-        const { id } = req.params;
-        const { voter_public_key } = req.query;
+        const { rumor_id, voter_public_key, vote_value, revision } = req.body;
+        const retract = vote_value === null || vote_value === undefined;
 
-        // Check if score already finalized (prevents manipulation)
-        const finalized = await db.query('SELECT trust_score, total_votes FROM finalized_scores WHERE rumor_id = $1', [id]);
-        if (finalized.rows[0]) {
-            return res.json({
-                trust_score: finalized.rows[0].trust_score,
-                vote_count: finalized.rows[0].total_votes,
-                can_view: true,
-                finalized: true
-            });
+        if (!Number.isInteger(revision) || revision < 1) {
+            return res.status(400).json({ error: 'Invalid revision' });
         }
 
-        // FR3.4: Must vote before seeing score
-        if (voter_public_key) {
-            const voted = await db.query(
-                'SELECT 1 FROM votes WHERE rumor_id = $1 AND voter_public_key = $2',
-                [id, voter_public_key]
-            );
-            if (voted.rows.length === 0) {
-                return res.status(403).json({ error: 'Must vote first', can_view: false });
-            }
+        // Signature binds the revision number, so an old change can't be reordered
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: voter_public_key,
+            action: 'VOTE_CHANGE',
+            target: rumor_id,
+            payload: `${retract ? 'retract' : vote_value}:${revision}`
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
         }
 
-        // FR5.2: Simple vote count (unweighted for demo clarity)
-        const votes = await db.query(
-            'SELECT vote_value FROM votes WHERE rumor_id = $1',
-            [id]
-        );
+        // Get rumor
+        const rumorRes = await db.query('SELECT deadline, hidden_at, category FROM rumors WHERE id = $1', [rumor_id]);
+        if (!rumorRes.rows[0]) return res.status(404).json({ error: 'Rumor not found' });
+        if (rumorRes.rows[0].hidden_at) {
+            return res.status(403).json({ error: 'Rumor is hidden pending review' });
+        }
 
-        let trueCount = 0, falseCount = 0;
-        for (const v of votes.rows) {
-            v.vote_value ? trueCount++ : falseCount++;
+        // FR3.3: Check deadline
+        if (Date.now() > new Date(rumorRes.rows[0].deadline).getTime()) {
+            return res.status(403).json({ error: 'Voting closed' });
         }
 
-        // FR5.1: Score 0-100
-        const total = trueCount + falseCount;
-        const score = total > 0 ? (trueCount / total) * 100 : 50;
+        // Retracting is always allowed; switching or re-voting needs the reputation
+        if (!retract) {
+            const repError = await checkVoterReputation(rumorRes.rows[0].category, voter_public_key);
+            if (repError) {
+                return res.status(403).json(repError);
+            }
+        }
+
+        const last = await db.query(
+            'SELECT MAX(revision) AS revision FROM vote_revisions WHERE rumor_id = $1 AND voter_public_key = $2',
+            [rumor_id, voter_public_key]
+        );
+        if (last.rows[0].revision === null) {
+            return res.status(400).json({ error: 'No vote to change' });
+        }
+        const expected = last.rows[0].revision + 1;
+        if (revision !== expected) {
+            return res.status(409).json({ error: 'Stale revision', expected_revision: expected });
+        }
+
+        const votesBefore = await countVotes(rumor_id);
+
+        // Revision row first: its primary key rejects concurrent duplicates
+        await db.query(
+            'INSERT INTO vote_revisions (rumor_id, voter_public_key, revision, vote_value) VALUES ($1, $2, $3, $4)',
+            [rumor_id, voter_public_key, revision, retract ? null : vote_value]
+        );
+
+        if (retract) {
+            await db.query('DELETE FROM votes WHERE rumor_id = $1 AND voter_public_key = $2', [rumor_id, voter_public_key]);
+        } else {
+            await db.query(
+                'INSERT INTO votes (rumor_id, voter_public_key, vote_value) VALUES ($1, $2, $3) ON CONFLICT (rumor_id, voter_public_key) DO UPDATE SET vote_value = $3, voted_at = NOW()',
+                [rumor_id, voter_public_key, vote_value]
+            );
+        }
+
+        // Add to public audit log
+        await appendAuditLog('VOTE_CHANGE', voter_public_key, rumor_id.toString(), crypto.createHash('sha256').update(`${rumor_id}:${retract ? 'retract' : vote_value}:${revision}`).digest('hex'));
+
+        // Only retractions and re-votes change the count. Switching sides is
+        // not announced, since the event would tell watchers that one happened.
+        const voteCount = await countVotes(rumor_id);
+        if (voteCount !== votesBefore) {
+            broadcastEvent('vote-count-changed', { rumor_id: Number(rumor_id), vote_count: voteCount });
+        }
+
+        res.json({ success: true, revision, retracted: retract, vote_count: voteCount });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'Stale revision' });
+        }
+        res.status(500).json({ error: 'Vote change failed' });
+    }
+});
+
+// ==================== TRUST SCORE CALCULATION ====================
+
+// FR5: Trust Score Calculation
+app.get('/api/rumors/:id/score', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { voter_public_key } = req.query;
+
+        // Check if score already finalized (prevents manipulation)
+        const finalized = await db.query('SELECT trust_score, raw_score, total_votes FROM finalized_scores WHERE rumor_id = $1', [id]);
+        if (finalized.rows[0]) {
+            return res.json({
+                trust_score: finalized.rows[0].trust_score,
+                raw_score: finalized.rows[0].raw_score ?? finalized.rows[0].trust_score,
+                vote_count: finalized.rows[0].total_votes,
+                can_view: true,
+                finalized: true
+            });
+        }
+
+        // FR3.4: Must vote before seeing score. The viewer's own vote and latest
+        // revision (kept after a retraction, so the next vote goes through
+        // /api/vote/change) only go to a request signed by that key.
+        let viewerVote = null;
+        if (voter_public_key) {
+            const signed = Boolean(req.query.envelope);
+            if (signed) {
+                const sigError = await verifySignedAction(signedQuery(req.query), { publicKey: voter_public_key, action: 'SCORE', target: id });
+                if (sigError) {
+                    return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+                }
+            }
+            const voted = await db.query(
+                `SELECT v.vote_value, (SELECT MAX(r.revision) FROM vote_revisions r
+                  WHERE r.rumor_id = $1 AND r.voter_public_key = $2) AS revision
+                 FROM (SELECT 1) one
+                 LEFT JOIN votes v ON v.rumor_id = $1 AND v.voter_public_key = $2`,
+                [id, voter_public_key]
+            );
+            if (voted.rows[0].vote_value === null) {
+                return res.status(403).json({
+                    error: 'Must vote first',
+                    can_view: false,
+                    ...(signed && { viewer_revision: voted.rows[0].revision })
+                });
+            }
+            if (signed) viewerVote = voted.rows[0];
+        }
+
+        // FR5.2: Reputation-weighted score
+        const tally = await tallyVotes(id);
 
         res.json({ 
-            trust_score: Math.round(score * 10) / 10,
-            vote_count: votes.rows.length,
+            trust_score: Math.round(tally.trust_score * 10) / 10,
+            raw_score: Math.round(tally.raw_score * 10) / 10,
+            vote_count: tally.vote_count,
+            ...(viewerVote && { viewer_vote: viewerVote.vote_value, viewer_revision: viewerVote.revision }),
             can_view: true,
             finalized: false
         });
@@ -312,7 +1276,29 @@ app.get('/api/rumors/:id/score', async (req, res) => {
 // Simple reputation calculation:
 // Voter: +0.1 for correct vote, -0.1 for wrong vote
 // Rumor creator: +0.2 if rumor verified TRUE, -0.2 if proven FALSE
-async function getReputationAtTime(publicKey, asOfDate = new Date()) {
+// Every change is written to reputation_ledger when it happens, so any key's
+// reputation can be rebuilt as of any timestamp by summing its ledger rows.
+const VOTER_REPUTATION_DELTA = 0.1;
+const CREATOR_REPUTATION_DELTA = 0.2;
+
+// Evidence: commenters earn a little for how helpful (reputation-weighted)
+// voters found their comments once the rumor finalizes. Bounded per rumor,
+// and each key's net EVIDENCE ledger total (reversals included, see
+// reverseRumorReputation) is kept within the overall cap.
+const EVIDENCE_DELTA_PER_POINT = 0.02;
+const EVIDENCE_RUMOR_CAP = 0.1;
+const EVIDENCE_REPUTATION_CAP = 0.5;
+
+async function getReputationAtTime(publicKey, asOfDate = null) {
+    // Point-in-time lookups always read the ledger directly
+    if (asOfDate) {
+        const result = await db.query(
+            'SELECT COALESCE(SUM(delta), 0) AS reputation FROM reputation_ledger WHERE public_key = $1 AND created_at <= $2',
+            [publicKey, asOfDate]
+        );
+        return Math.round(parseFloat(result.rows[0].reputation) * 10) / 10;
+    }
+
     // Check cache first (performance optimization)
     const cached = await db.query(
         'SELECT reputation, last_calculated_at FROM reputation_cache WHERE public_key = $1',
@@ -324,51 +1310,11 @@ async function getReputationAtTime(publicKey, asOfDate = new Date()) {
         return cached.rows[0].reputation;
     }
 
-    let rep = 0;
-
-    // 1) Voter reputation: +0.1 correct, -0.1 wrong (only finalized rumors)
-    const votes = await db.query(
-        `SELECT v.vote_value, f.outcome
-         FROM votes v
-         JOIN finalized_scores f ON v.rumor_id = f.rumor_id
-         WHERE v.voter_public_key = $1`,
-        [publicKey]
-    );
-
-    for (const vote of votes.rows) {
-        if (vote.vote_value === vote.outcome) {
-            rep += 0.1;  // Correct vote
-        } else {
-            rep -= 0.1;  // Wrong vote
-        }
-    }
-
-    // 2) Creator reputation: +0.2 if rumor verified, -0.2 if debunked
-    const createdRumors = await db.query(
-        `SELECT f.outcome
-         FROM rumors r
-         JOIN finalized_scores f ON r.id = f.rumor_id
-         WHERE r.creator_public_key = $1`,
-        [publicKey]
-    );
-
-    for (const rumor of createdRumors.rows) {
-        if (rumor.outcome === true) {
-            rep += 0.2;  // Rumor was verified true
-        } else {
-            rep -= 0.2;  // Rumor was proven false
-        }
-    }
-
-    // Round to 1 decimal place
-    rep = Math.round(rep * 10) / 10;
-
-    // 3) Add permanent penalties from deleted debunked rumors
-    const penalties = await db.query(
-        'SELECT COALESCE(SUM(penalty), 0) as total_penalty FROM reputation_penalties WHERE public_key = $1',
+    const result = await db.query(
+        'SELECT COALESCE(SUM(delta), 0) AS reputation FROM reputation_ledger WHERE public_key = $1',
         [publicKey]
     );
-    rep = Math.round((rep + parseFloat(penalties.rows[0].total_penalty)) * 10) / 10;
+    const rep = Math.round(parseFloat(result.rows[0].reputation) * 10) / 10;
 
     // Update cache
     await db.query(
@@ -379,18 +1325,86 @@ async function getReputationAtTime(publicKey, asOfDate = new Date()) {
     return rep;
 }
 
-async function getRumorOutcome(rumorId) {
-    const votes = await db.query(
-        'SELECT vote_value FROM votes WHERE rumor_id = $1',
-        [rumorId]
+// Append a reputation event to the ledger
+async function recordReputationEvent(publicKey, delta, eventType, rumorId, reason, client = db) {
+    await client.query(
+        'INSERT INTO reputation_ledger (public_key, delta, event_type, rumor_id, reason) VALUES ($1, $2, $3, $4, $5)',
+        [publicKey, delta, eventType, rumorId, reason]
     );
+}
 
-    let trueCount = 0, falseCount = 0;
-    for (const v of votes.rows) {
-        v.vote_value ? trueCount++ : falseCount++;
-    }
+// One-time migration: rebuild ledger rows for rumors finalized before the
+// ledger existed, dated at their finalization time
+async function backfillReputationLedger() {
+    const existing = await db.query('SELECT 1 FROM reputation_ledger LIMIT 1');
+    if (existing.rows.length > 0) return;
+
+    await db.query(
+        `INSERT INTO reputation_ledger (public_key, delta, event_type, rumor_id, reason, created_at)
+         SELECT v.voter_public_key, CASE WHEN v.vote_value = f.outcome THEN $1::numeric ELSE -$1::numeric END,
+                'FINALIZE', f.rumor_id, 'Backfilled vote outcome', f.finalized_at
+         FROM votes v JOIN finalized_scores f ON v.rumor_id = f.rumor_id`,
+        [VOTER_REPUTATION_DELTA]
+    );
+    await db.query(
+        `INSERT INTO reputation_ledger (public_key, delta, event_type, rumor_id, reason, created_at)
+         SELECT r.creator_public_key, CASE WHEN f.outcome THEN $1::numeric ELSE -$1::numeric END,
+                'FINALIZE', f.rumor_id, 'Backfilled rumor outcome', f.finalized_at
+         FROM rumors r JOIN finalized_scores f ON r.id = f.rumor_id
+         WHERE r.creator_public_key IS NOT NULL`,
+        [CREATOR_REPUTATION_DELTA]
+    );
+    await db.query(
+        `INSERT INTO reputation_ledger (public_key, delta, event_type, reason, created_at)
+         SELECT public_key, penalty, 'PENALTY', reason, created_at FROM reputation_penalties`
+    );
+    await db.query('DELETE FROM reputation_cache');
+}
+
+// FR5.2: Vote weight = voter reputation at the time the vote was cast.
+// New keys start at 0 reputation, so they count at the floor weight until
+// they build a track record; the cap stops any one key from dominating.
+const VOTE_WEIGHT_FLOOR = 0.1;
+const VOTE_WEIGHT_CAP = 2.0;
+
+// Weight of a votes row aliased v: the voter's reputation as of voted_at
+// (rounded like getReputationAtTime), clamped to [floor, cap]
+const VOTE_WEIGHT_SQL = `LEAST(${VOTE_WEIGHT_CAP}, GREATEST(${VOTE_WEIGHT_FLOOR}, COALESCE((
+    SELECT ROUND(SUM(l.delta), 1) FROM reputation_ledger l
+    WHERE l.public_key = v.voter_public_key AND l.created_at <= v.voted_at
+), 0)))`;
+
+// Tally a rumor's votes both weighted (trust_score) and unweighted (raw_score)
+// in one aggregate. Pass the transaction's client to read within it.
+async function tallyVotes(rumorId, client = db) {
+    const result = await client.query(
+        `SELECT COUNT(*) FILTER (WHERE w.vote_value) AS true_count,
+                COUNT(*) AS total,
+                COALESCE(SUM(w.weight) FILTER (WHERE w.vote_value), 0) AS true_weight,
+                COALESCE(SUM(w.weight) FILTER (WHERE NOT w.vote_value), 0) AS false_weight
+         FROM (SELECT v.vote_value, ${VOTE_WEIGHT_SQL} AS weight FROM votes v WHERE v.rumor_id = $1) w`,
+        [rumorId]
+    );
+    const row = result.rows[0];
+    const trueCount = parseInt(row.true_count);
+    const total = parseInt(row.total);
+    const trueWeight = parseFloat(row.true_weight);
+    const falseWeight = parseFloat(row.false_weight);
+
+    // FR5.1: Score 0-100
+    const totalWeight = trueWeight + falseWeight;
+
+    return {
+        trust_score: totalWeight > 0 ? (trueWeight / totalWeight) * 100 : 50,
+        raw_score: total > 0 ? (trueCount / total) * 100 : 50,
+        vote_count: total,
+        outcome: trueWeight >= falseWeight // TRUE if weighted majority says true
+    };
+}
 
-    return trueCount >= falseCount; // TRUE if majority says true
+async function getRumorOutcome(rumorId) {
+    const tally = await tallyVotes(rumorId);
+    return tally.outcome;
 }
 
 // ==================== FINALIZATION CRON JOB ====================
@@ -398,53 +1412,189 @@ async function getRumorOutcome(rumorId) {
 // FR5.3: Finalize scores on deadline
 async function finalizeExpiredRumors() {
     const expired = await db.query(
-        'SELECT id, creator_public_key FROM rumors WHERE deadline < NOW() AND id NOT IN (SELECT rumor_id FROM finalized_scores)'
+        'SELECT id FROM rumors WHERE deadline < NOW() AND id NOT IN (SELECT rumor_id FROM finalized_scores)'
     );
 
     for (const rumor of expired.rows) {
-        const votes = await db.query(
-            'SELECT vote_value, voter_public_key FROM votes WHERE rumor_id = $1',
-            [rumor.id]
-        );
+        try {
+            await finalizeRumor(rumor.id);
+        } catch (error) {
+            console.error(`Finalizing rumor #${rumor.id} failed:`, error.message);
+        }
+    }
+}
+
+// Score one expired rumor and apply its reputation changes. Everything that
+// touches the score and the ledger runs in one transaction holding the
+// rumor's row lock, so the cron job and a moderator re-finalizing can't
+// score it at the same time. With refinalizeReason set, the reputation the
+// last finalization applied is reversed first (see reverseRumorReputation).
+// Returns false if the rumor is gone or, for the cron job, already finalized.
+async function finalizeRumor(rumorId, { refinalizeReason = null } = {}) {
+    const refinalize = refinalizeReason !== null;
+    let rumor, tally, voters, evidenceKeys;
+    let reversedKeys = [];
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const locked = await client.query('SELECT id, creator_public_key FROM rumors WHERE id = $1 FOR UPDATE', [rumorId]);
+        rumor = locked.rows[0];
+        const existing = await client.query('SELECT 1 FROM finalized_scores WHERE rumor_id = $1', [rumorId]);
+        if (!rumor || (existing.rows.length > 0 && !refinalize)) {
+            await client.query('ROLLBACK');
+            return false;
+        }
 
-        let trueCount = 0, falseCount = 0;
-        for (const v of votes.rows) {
-            v.vote_value ? trueCount++ : falseCount++;
+        if (refinalize) {
+            reversedKeys = await reverseRumorReputation(rumor.id, 'REFINALIZE', refinalizeReason, client);
+            await client.query('DELETE FROM finalized_scores WHERE rumor_id = $1', [rumor.id]);
         }
 
-        const total = trueCount + falseCount;
-        const score = total > 0 ? (trueCount / total) * 100 : 50;
-        const outcome = trueCount >= falseCount;
+        tally = await tallyVotes(rumor.id, client);
+        const votes = await client.query('SELECT voter_public_key, vote_value FROM votes WHERE rumor_id = $1', [rumor.id]);
+        voters = votes.rows;
 
         // Store finalized score (IMMUTABLE)
-        await db.query(
-            'INSERT INTO finalized_scores (rumor_id, trust_score, total_votes, outcome) VALUES ($1, $2, $3, $4)',
-            [rumor.id, score, votes.rows.length, outcome]
+        await client.query(
+            'INSERT INTO finalized_scores (rumor_id, trust_score, raw_score, total_votes, outcome) VALUES ($1, $2, $3, $4, $5)',
+            [rumor.id, tally.trust_score, tally.raw_score, tally.vote_count, tally.outcome]
         );
 
-        // Invalidate cache for all voters AND the creator
-        const affectedKeys = votes.rows.map(v => v.voter_public_key);
-        if (rumor.creator_public_key && !affectedKeys.includes(rumor.creator_public_key)) {
-            affectedKeys.push(rumor.creator_public_key);
+        // Record reputation changes for every voter and the creator
+        for (const v of voters) {
+            const correct = v.vote_value === tally.outcome;
+            await recordReputationEvent(
+                v.voter_public_key,
+                correct ? VOTER_REPUTATION_DELTA : -VOTER_REPUTATION_DELTA,
+                'FINALIZE',
+                rumor.id,
+                correct ? 'Correct vote' : 'Wrong vote',
+                client
+            );
         }
-        if (affectedKeys.length > 0) {
-            await db.query(
-                'DELETE FROM reputation_cache WHERE public_key = ANY($1)',
-                [affectedKeys]
+        if (rumor.creator_public_key) {
+            await recordReputationEvent(
+                rumor.creator_public_key,
+                tally.outcome ? CREATOR_REPUTATION_DELTA : -CREATOR_REPUTATION_DELTA,
+                'FINALIZE',
+                rumor.id,
+                tally.outcome ? 'Rumor verified' : 'Rumor debunked',
+                client
             );
         }
 
-        // Add to audit log
+        evidenceKeys = await recordEvidenceReputation(rumor.id, client);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Invalidate cache for all voters, commenters AND the creator (after the
+    // commit, so nothing re-caches the old value in between)
+    const affectedKeys = [...new Set([
+        ...voters.map(v => v.voter_public_key),
+        ...evidenceKeys,
+        ...reversedKeys,
+        rumor.creator_public_key
+    ].filter(Boolean))];
+    if (affectedKeys.length > 0) {
         await db.query(
-            'INSERT INTO audit_log (action_type, target_id, data_hash) VALUES ($1, $2, $3)',
-            ['FINALIZE', rumor.id.toString(), crypto.createHash('sha256').update(`finalize:${rumor.id}:${score}`).digest('hex')]
+            'DELETE FROM reputation_cache WHERE public_key = ANY($1)',
+            [affectedKeys]
         );
     }
+
+    const score = tally.trust_score;
+    const result = { outcome: tally.outcome, trust_score: Math.round(score * 10) / 10 };
+    for (const v of voters) {
+        const correct = v.vote_value === tally.outcome;
+        const delta = correct ? VOTER_REPUTATION_DELTA : -VOTER_REPUTATION_DELTA;
+        await notify(v.voter_public_key, 'rumor_finalized', { rumorId: rumor.id, data: { ...result, role: 'voter', correct, delta } });
+    }
+    if (rumor.creator_public_key) {
+        const delta = tally.outcome ? CREATOR_REPUTATION_DELTA : -CREATOR_REPUTATION_DELTA;
+        await notify(rumor.creator_public_key, 'rumor_finalized', { rumorId: rumor.id, data: { ...result, role: 'creator', delta } });
+    }
+    await notifyWatchers(rumor.id, 'watch_finalized', {
+        exclude: [rumor.creator_public_key, ...voters.map(v => v.voter_public_key)],
+        data: result
+    });
+
+    // Add to audit log
+    await appendAuditLog('FINALIZE', null, rumor.id.toString(), crypto.createHash('sha256').update(`finalize:${rumor.id}:${score}`).digest('hex'));
+
+    broadcastEvent('rumor-finalized', {
+        rumor_id: rumor.id,
+        trust_score: score,
+        raw_score: tally.raw_score,
+        total_votes: tally.vote_count,
+        outcome: tally.outcome
+    });
+    return true;
 }
 
 // Run every minute
 setInterval(finalizeExpiredRumors, 60 * 1000);
 
+// Record the evidence component for a finalized rumor's commenters.
+// Returns the keys whose reputation changed.
+async function recordEvidenceReputation(rumorId, client = db) {
+    const contributors = await client.query(
+        `SELECT c.commenter_public_key AS public_key,
+         SUM(CASE WHEN v.helpful THEN 1 ELSE -1 END * ${VOTE_WEIGHT_SQL}) AS helpfulness
+         FROM comments c JOIN comment_votes v ON v.comment_id = c.id
+         WHERE c.rumor_id = $1 AND c.hidden_at IS NULL AND c.deleted_at IS NULL
+         GROUP BY c.commenter_public_key`,
+        [rumorId]
+    );
+
+    const clamp = (value, cap) => Math.min(cap, Math.max(-cap, value));
+    const changed = [];
+    for (const row of contributors.rows) {
+        const earned = clamp(EVIDENCE_DELTA_PER_POINT * parseFloat(row.helpfulness), EVIDENCE_RUMOR_CAP);
+        const total = await client.query(
+            "SELECT COALESCE(SUM(delta), 0) AS total FROM reputation_ledger WHERE public_key = $1 AND event_type = 'EVIDENCE'",
+            [row.public_key]
+        );
+        const current = parseFloat(total.rows[0].total);
+        const delta = Math.round((clamp(current + earned, EVIDENCE_REPUTATION_CAP) - current) * 1000) / 1000;
+        if (delta === 0) continue;
+
+        await recordReputationEvent(
+            row.public_key,
+            delta,
+            'EVIDENCE',
+            rumorId,
+            delta > 0 ? 'Helpful evidence' : 'Unhelpful comments',
+            client
+        );
+        changed.push(row.public_key);
+    }
+    return changed;
+}
+
+// Reverse every reputation change a rumor's finalization caused (deletion or
+// re-finalization). The evidence part is written back as its own EVIDENCE
+// row, so the EVIDENCE total checked against the cap stays the key's net.
+// Retired keys are skipped: rotation copied their rows to the new key, which
+// takes the reversal instead. Returns the keys whose reputation changed.
+async function reverseRumorReputation(rumorId, eventType, reason, client = db) {
+    const reversed = await client.query(
+        `INSERT INTO reputation_ledger (public_key, delta, event_type, rumor_id, reason)
+         SELECT public_key, -SUM(delta), CASE WHEN event_type = 'EVIDENCE' THEN 'EVIDENCE' ELSE $2 END, rumor_id, $3
+         FROM reputation_ledger WHERE rumor_id = $1 AND event_type IN ('FINALIZE', 'REFINALIZE', 'EVIDENCE')
+           AND public_key NOT IN (SELECT old_public_key FROM key_rotations)
+         GROUP BY public_key, rumor_id, event_type = 'EVIDENCE' HAVING SUM(delta) <> 0
+         RETURNING public_key`,
+        [rumorId, eventType, reason]
+    );
+    return [...new Set(reversed.rows.map(r => r.public_key))];
+}
+
 // ==================== DELETION ====================
 
 // FR6: Hard Deletion - User's Right to Erase
@@ -454,8 +1604,13 @@ app.delete('/api/rumors/:id', async (req, res) => {
         const { creator_public_key, signature } = req.body;
 
         // FR2.3: Only creator can delete
-        if (!verifySignature(`DELETE:${id}`, signature, creator_public_key)) {
-            return res.status(401).json({ error: 'Invalid signature' });
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: creator_public_key,
+            action: 'DELETE',
+            target: id
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
         }
 
         const rumor = await db.query('SELECT creator_public_key FROM rumors WHERE id = $1', [id]);
@@ -474,10 +1629,21 @@ app.delete('/api/rumors/:id', async (req, res) => {
         // Get affected voters before deletion
         const voters = await db.query('SELECT DISTINCT voter_public_key FROM votes WHERE rumor_id = $1', [id]);
 
+        // Media attached to the rumor and its comments, released after deletion
+        const attachedMedia = await db.query(
+            `SELECT media_id FROM rumor_media WHERE rumor_id = $1
+             UNION SELECT media_id FROM comments WHERE rumor_id = $1 AND media_id IS NOT NULL`,
+            [id]
+        );
+
         // Add to audit log BEFORE deletion (transparency)
+        await appendAuditLog('DELETE', creator_public_key, id.toString(), crypto.createHash('sha256').update(`${id}:${signature}`).digest('hex'));
+
+        // Reports on the rumor and its comments have nothing left to review
         await db.query(
-            'INSERT INTO audit_log (action_type, actor_public_key, target_id, data_hash) VALUES ($1, $2, $3, $4)',
-            ['DELETE', creator_public_key, id.toString(), crypto.createHash('sha256').update(`${id}:${signature}`).digest('hex')]
+            `DELETE FROM reports WHERE (target_type = 'rumor' AND target_id = $1)
+             OR (target_type = 'comment' AND target_id IN (SELECT id FROM comments WHERE rumor_id = $1))`,
+            [id]
         );
 
         // Hard delete rumor (votes cascade delete automatically)
@@ -486,44 +1652,39 @@ app.delete('/api/rumors/:id', async (req, res) => {
         // Delete finalized score
         await db.query('DELETE FROM finalized_scores WHERE rumor_id = $1', [id]);
 
-        // Invalidate cache for all VOTERS so their rep recalculates WITHOUT this rumor
-        if (voters.rows.length > 0) {
-            await db.query(
-                'DELETE FROM reputation_cache WHERE public_key = ANY($1)',
-                [voters.rows.map(v => v.voter_public_key)]
-            );
+        // Remove images nothing else references any more
+        if (attachedMedia.rows.length > 0) {
+            await releaseMedia(attachedMedia.rows.map(m => m.media_id));
         }
 
+        // FR6.1: Reverse every reputation change this rumor caused, so it
+        // no longer counts from now on (earlier snapshots stay as they were)
+        const reversedKeys = await reverseRumorReputation(id, 'DELETION', `Rumor #${id} deleted`);
+
         // Handle CREATOR reputation on deletion:
         // If rumor was finalized and outcome was FALSE (wrong rumor),
-        // the creator's -0.2 penalty should STAY (not be recalculated away).
-        // We do this by inserting a permanent penalty record.
-        // If outcome was TRUE, the +0.2 bonus is naturally removed when
-        // finalized_scores is deleted (recalculation won't find it).
+        // the creator's -0.2 penalty should STAY, so deleting a debunked
+        // rumor can't be used to launder reputation. The reversal above
+        // removed it, so record a permanent penalty in its place.
+        // If outcome was TRUE, the +0.2 bonus stays reversed.
         if (wasFinalized && outcome === false) {
-            // Creator had a -0.2 penalty. The finalized_scores row is now deleted,
-            // so recalculation would lose this penalty. We need to preserve it
-            // by storing a permanent reputation adjustment.
-            // We use reputation_cache to store a sticky penalty:
-            // First recalculate without the deleted rumor, then subtract 0.2
-            await db.query('DELETE FROM reputation_cache WHERE public_key = $1', [creator_public_key]);
-            const freshRep = await getReputationAtTime(creator_public_key);
-            const penalizedRep = Math.round((freshRep - 0.2) * 10) / 10;
-            await db.query(
-                'INSERT INTO reputation_cache (public_key, reputation) VALUES ($1, $2) ON CONFLICT (public_key) DO UPDATE SET reputation = $2, last_calculated_at = NOW()',
-                [creator_public_key, penalizedRep]
+            await recordReputationEvent(
+                creator_public_key,
+                -CREATOR_REPUTATION_DELTA,
+                'PENALTY',
+                null,
+                `Deleted debunked rumor #${id}`
             );
-            // Also store in a permanent penalties table so it persists across recalculations
-            await db.query(
-                'INSERT INTO reputation_penalties (public_key, penalty, reason, created_at) VALUES ($1, $2, $3, NOW())',
-                [creator_public_key, -0.2, `Deleted debunked rumor #${id}`]
-            );
-        } else {
-            // Outcome was TRUE or not finalized: just invalidate creator cache
-            // so bonus is recalculated away naturally
-            await db.query('DELETE FROM reputation_cache WHERE public_key = $1', [creator_public_key]);
         }
 
+        // Invalidate cache for all VOTERS, commenters and the creator so their rep recalculates
+        await db.query(
+            'DELETE FROM reputation_cache WHERE public_key = ANY($1)',
+            [[...voters.rows.map(v => v.voter_public_key), ...reversedKeys, creator_public_key]]
+        );
+
+        broadcastEvent('rumor-deleted', { rumor_id: Number(id) });
+
         res.json({ 
             success: true, 
             message: 'Rumor permanently deleted. Reputations recalculated.',
@@ -543,7 +1704,7 @@ app.get('/api/audit/log', async (req, res) => {
         const { since, limit } = req.query;
         
         const logs = await db.query(
-            'SELECT action_type, actor_public_key, target_id, data_hash, timestamp FROM audit_log WHERE timestamp > $1 ORDER BY timestamp DESC LIMIT $2',
+            'SELECT id, action_type, actor_public_key, target_id, data_hash, timestamp, prev_hash, entry_hash FROM audit_log WHERE timestamp > $1 ORDER BY id DESC LIMIT $2',
             [since || '1970-01-01', Math.min(parseInt(limit) || 100, 1000)]
         );
 
@@ -557,15 +1718,102 @@ app.get('/api/audit/log', async (req, res) => {
     }
 });
 
+// Walk the audit hash chain and report the first broken link
+app.get('/api/audit/verify', async (req, res) => {
+    try {
+        let prevHash = AUDIT_GENESIS_HASH;
+        let lastId = 0;
+        let checked = 0;
+        const broken = (row, reason) => res.json({ valid: false, checked, broken_at: row.id, reason });
+
+        while (true) {
+            const batch = await db.query(
+                'SELECT id, action_type, actor_public_key, target_id, data_hash, timestamp, prev_hash, entry_hash FROM audit_log WHERE id > $1 AND entry_hash IS NOT NULL ORDER BY id LIMIT 1000',
+                [lastId]
+            );
+            if (batch.rows.length === 0) break;
+
+            for (const row of batch.rows) {
+                if (row.prev_hash !== prevHash) {
+                    return broken(row, 'prev_hash does not match the previous entry (row edited or deleted)');
+                }
+                if (computeAuditEntryHash(row) !== row.entry_hash) {
+                    return broken(row, 'Entry contents do not match entry_hash (row edited)');
+                }
+                prevHash = row.entry_hash;
+                lastId = row.id;
+                checked++;
+            }
+        }
+
+        // The latest signed head must still be in the chain (catches truncation)
+        const checkpoint = await db.query('SELECT head_id, head_hash FROM audit_checkpoints ORDER BY id DESC LIMIT 1');
+        if (checkpoint.rows[0]) {
+            const pinned = await db.query('SELECT id, entry_hash FROM audit_log WHERE id = $1', [checkpoint.rows[0].head_id]);
+            if (!pinned.rows[0] || pinned.rows[0].entry_hash !== checkpoint.rows[0].head_hash) {
+                return res.json({
+                    valid: false,
+                    checked,
+                    broken_at: checkpoint.rows[0].head_id,
+                    reason: 'Signed chain head no longer matches the log (entries removed)'
+                });
+            }
+        }
+
+        const legacy = await db.query('SELECT COUNT(*) FROM audit_log WHERE entry_hash IS NULL');
+
+        res.json({
+            valid: true,
+            checked,
+            head: { id: lastId, entry_hash: prevHash },
+            legacy_entries: parseInt(legacy.rows[0].count)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+});
+
+// Latest signed chain head, for outside observers to pin
+app.get('/api/audit/head', async (req, res) => {
+    try {
+        const checkpoint = await db.query(
+            'SELECT head_id, head_hash, signature, server_public_key, created_at FROM audit_checkpoints ORDER BY id DESC LIMIT 1'
+        );
+        if (!checkpoint.rows[0]) {
+            return res.status(404).json({ error: 'No signed head published yet' });
+        }
+
+        const { head_id, head_hash, signature, server_public_key, created_at } = checkpoint.rows[0];
+        res.json({
+            head_id,
+            head_hash,
+            signed_message: `AUDIT_HEAD:${head_id}:${head_hash}`,
+            signature,
+            server_public_key: server_public_key || encodeBase64(auditSigningKey.publicKey),
+            published_at: created_at
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch audit head' });
+    }
+});
+
 // Get public reputation for any user (calculated on-the-fly)
 app.get('/api/user/:publicKey/reputation', async (req, res) => {
     try {
         const { publicKey } = req.params;
-        const reputation = await getReputationAtTime(publicKey, new Date());
+        // 404 for keys that never registered, so an imported identity can be
+        // confirmed before the client starts signing with it
+        const user = await db.query('SELECT 1 FROM users WHERE public_key = $1', [publicKey]);
+        if (user.rows.length === 0) {
+            return res.status(404).json({ error: 'Unknown identity - this key was never registered', code: 'UNKNOWN_USER' });
+        }
+        const reputation = await getReputationAtTime(publicKey);
+        const rotation = await db.query('SELECT 1 FROM key_rotations WHERE old_public_key = $1', [publicKey]);
         
         res.json({ 
             public_key: publicKey,
             reputation: Math.round(reputation * 10) / 10,
+            retired: rotation.rows.length > 0,
             note: 'Calculated from immutable vote history'
         });
     } catch (error) {
@@ -573,19 +1821,261 @@ app.get('/api/user/:publicKey/reputation', async (req, res) => {
     }
 });
 
-// Get all active rumors
+// Full key lineage for any key, oldest first, with both signed envelopes of
+// every rotation so the chain can be checked independently
+app.get('/api/user/:publicKey/lineage', async (req, res) => {
+    try {
+        const result = await db.query(
+            `WITH RECURSIVE back AS (
+                SELECT old_public_key, new_public_key FROM key_rotations WHERE new_public_key = $1
+                UNION
+                SELECT k.old_public_key, k.new_public_key FROM key_rotations k JOIN back b ON k.new_public_key = b.old_public_key
+            ), forward AS (
+                SELECT old_public_key, new_public_key FROM key_rotations WHERE old_public_key = $1
+                UNION
+                SELECT k.old_public_key, k.new_public_key FROM key_rotations k JOIN forward f ON k.old_public_key = f.new_public_key
+            )
+            SELECT k.* FROM key_rotations k
+            WHERE k.old_public_key IN (SELECT old_public_key FROM back UNION SELECT old_public_key FROM forward)
+            ORDER BY k.rotated_at, k.old_public_key`,
+            [req.params.publicKey]
+        );
+
+        const rotations = result.rows;
+        const keys = rotations.length > 0
+            ? [rotations[0].old_public_key, ...rotations.map(r => r.new_public_key)]
+            : [req.params.publicKey];
+
+        res.json({
+            public_key: req.params.publicKey,
+            current_public_key: keys[keys.length - 1],
+            keys,
+            rotations
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch key lineage' });
+    }
+});
+
+// Reputation time series for any user (rebuilt from the reputation ledger)
+const HISTORY_BUCKET_MS = 24 * 60 * 60 * 1000;
+
+app.get('/api/user/:publicKey/reputation/history', async (req, res) => {
+    try {
+        const { publicKey } = req.params;
+        const { since } = req.query;
+
+        // One point per day (net change and end-of-day reputation), without
+        // rumor ids or event types. Per-event timestamps would match each
+        // rumor's finalization time and give away which votes were right;
+        // a daily total only narrows it to the rumors finalized that day.
+        const ledger = await db.query(
+            `SELECT day AS timestamp, delta, SUM(delta) OVER (ORDER BY day) AS reputation
+             FROM (
+                SELECT date_trunc('day', created_at) AS day, SUM(delta) AS delta
+                FROM reputation_ledger WHERE public_key = $1
+                GROUP BY 1
+             ) daily
+             ORDER BY day`,
+            [publicKey]
+        );
+
+        // A day is included if any of it falls after `since`
+        const sinceTime = since ? new Date(since).getTime() - HISTORY_BUCKET_MS : 0;
+        const history = ledger.rows
+            .filter(row => new Date(row.timestamp).getTime() > sinceTime)
+            .map(row => ({
+                timestamp: row.timestamp,
+                delta: Math.round(parseFloat(row.delta) * 10) / 10,
+                reputation: Math.round(parseFloat(row.reputation) * 10) / 10
+            }));
+
+        res.json({
+            public_key: publicKey,
+            history,
+            count: history.length
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch reputation history' });
+    }
+});
+
+// Feed sort orders. Each pages with a keyset cursor on (sort key, id).
+const FEED_SORTS = {
+    newest: { key: 'created_at', direction: 'DESC' },
+    votes: { key: 'vote_count', direction: 'DESC' },
+    closing_soon: { key: 'deadline', direction: 'ASC' },
+    controversial: { key: 'controversy', direction: 'DESC' }, // Closest to a 50/50 split (FR3.4: finalized only)
+    relevance: { key: 'rank', direction: 'DESC' }              // Only with ?q=
+};
+const FEED_PAGE_SIZE = 20;
+const FEED_MAX_PAGE_SIZE = 100;
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.sort_key, row.id])).toString('base64url');
+
+function decodeCursor(cursor) {
+    try {
+        const [sortKey, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return typeof sortKey === 'string' && Number.isInteger(id) ? { sortKey, id } : null;
+    } catch {
+        return null;
+    }
+}
+
+// Shape a feed row's score columns the way /api/rumors/:id/score reports them.
+// FR3.4: the score is only included once the viewer has voted or it is finalized.
+function withViewerScore(row) {
+    const { final_trust_score, final_raw_score, true_weight, total_weight, true_votes, live_votes, ...rumor } = row;
+    let trustScore = null;
+    let rawScore = null;
+    if (rumor.finalized) {
+        trustScore = final_trust_score;
+        rawScore = final_raw_score ?? final_trust_score;
+    } else if (rumor.has_voted) {
+        const totalWeight = parseFloat(total_weight) || 0;
+        const liveVotes = parseInt(live_votes) || 0;
+        trustScore = totalWeight > 0 ? Math.round((parseFloat(true_weight) || 0) / totalWeight * 1000) / 10 : 50;
+        rawScore = liveVotes > 0 ? Math.round(parseInt(true_votes) / liveVotes * 1000) / 10 : 50;
+    }
+    return {
+        ...rumor,
+        trust_score: trustScore,
+        raw_score: rawScore,
+        can_view: rumor.finalized || rumor.has_voted
+    };
+}
+
+// Get rumors: cursor-paginated, filterable and searchable
+// ?status=active|finalized &category= &created_after= &created_before=
+// &q=<full-text search> &sort=newest|votes|closing_soon|controversial|relevance
+// &limit= &cursor=<next_cursor from the previous page>
+// &viewer_public_key= with a signed query (FEED) adds has_voted, viewer_vote,
+// viewer_revision and (FR3.4) the score. Unsigned requests get public data only.
+// &watching=true limits the feed to the viewer's watch list (signed, see WATCHES)
 app.get('/api/rumors', async (req, res) => {
     try {
+        const { status, category, created_after, created_before, q, cursor, viewer_public_key, watching } = req.query;
+        const sortName = req.query.sort || (q ? 'relevance' : 'newest');
+        const sort = FEED_SORTS[sortName];
+        if (!sort || (sortName === 'relevance' && !q)) {
+            return res.status(400).json({ error: 'Invalid sort' });
+        }
+        const limit = Math.max(1, Math.min(parseInt(req.query.limit) || FEED_PAGE_SIZE, FEED_MAX_PAGE_SIZE));
+        for (const [name, value] of [['created_after', created_after], ['created_before', created_before]]) {
+            if (value && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+                return res.status(400).json({ error: `Invalid ${name} (ISO 8601 date)` });
+            }
+        }
+
+        const params = [];
+        const param = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        // Filters on the rumor itself (hidden rumors wait for moderator review).
+        // A rumor counts as finalized once it has a score, not at its deadline:
+        // the cron job scores expired rumors up to a minute later.
+        const where = ['r.hidden_at IS NULL'];
+        const isFinalized = 'EXISTS (SELECT 1 FROM finalized_scores f WHERE f.rumor_id = r.id)';
+        if (status === 'active') {
+            where.push(`NOT ${isFinalized}`);
+        } else if (status === 'finalized') {
+            where.push(isFinalized);
+        } else if (status) {
+            return res.status(400).json({ error: 'Invalid status (active or finalized)' });
+        }
+        if (category) where.push(`r.category = ${param(category)}`);
+        if (created_after) where.push(`r.created_at >= ${param(new Date(created_after))}`);
+        if (created_before) where.push(`r.created_at < ${param(new Date(created_before))}`);
+        // Anyone can name a key, so the viewer's votes need its signature
+        let viewerKey = null;
+        if (watching === 'true' || req.query.envelope) {
+            const action = watching === 'true' ? 'WATCHES' : 'FEED';
+            const sigError = await verifySignedAction(signedQuery(req.query), { publicKey: viewer_public_key, action });
+            if (sigError) {
+                return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+            }
+            viewerKey = viewer_public_key;
+        }
+        if (watching === 'true') {
+            const watcher = param(viewerKey);
+            where.push(`(r.id IN (SELECT w.rumor_id FROM watches w WHERE w.public_key = ${watcher})
+                OR r.category IN (SELECT w.category FROM watches w WHERE w.public_key = ${watcher}))`);
+        }
+        const rank = q ? `ts_rank(r.search_vector, websearch_to_tsquery('english', ${param(q)}))` : '0';
+        if (q) where.push(`r.search_vector @@ websearch_to_tsquery('english', $${params.length})`);
+
+        // Keyset pagination: rows strictly after the cursor in sort order
+        let after = '';
+        if (cursor) {
+            const decoded = decodeCursor(cursor);
+            if (!decoded) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            const op = sort.direction === 'DESC' ? '<' : '>';
+            after = `WHERE (feed.${sort.key}, feed.id) ${op} (${param(decoded.sortKey)}, ${param(decoded.id)})`;
+        }
+
+        // One pass: the page, then the viewer's vote and the score for each row on it.
+        // The revision comes from vote_revisions, so it survives a retraction and
+        // the client re-votes through /api/vote/change.
+        const viewer = param(viewerKey);
         const rumors = await db.query(
-            `SELECT r.id, r.content, r.category, r.creator_public_key, r.created_at, r.deadline,
-             COUNT(DISTINCT v.voter_public_key) as vote_count,
-             COUNT(DISTINCT c.id) as comment_count
-             FROM rumors r
-             LEFT JOIN votes v ON r.id = v.rumor_id
-             LEFT JOIN comments c ON r.id = c.rumor_id
-             GROUP BY r.id ORDER BY r.created_at DESC`
+            `SELECT page.*,
+                fs.rumor_id IS NOT NULL as finalized,
+                fs.trust_score as final_trust_score,
+                fs.raw_score as final_raw_score,
+                vv.voter_public_key IS NOT NULL as has_voted,
+                vv.vote_value as viewer_vote,
+                (SELECT MAX(vr.revision) FROM vote_revisions vr
+                  WHERE vr.rumor_id = page.id AND vr.voter_public_key = ${viewer}) as viewer_revision,
+                live.true_weight, live.total_weight, live.true_votes, live.live_votes
+             FROM (
+             SELECT feed.*, feed.${sort.key}::text as sort_key FROM (
+                SELECT r.id, r.content, r.category, r.creator_public_key, r.created_at, r.deadline,
+                 COUNT(DISTINCT v.voter_public_key) as vote_count,
+                 COUNT(DISTINCT c.id) as comment_count,
+                 ${RUMOR_MEDIA_IDS_SQL} as media_ids,
+                 CASE WHEN r.deadline <= NOW() THEN
+                   LEAST(COUNT(DISTINCT v.voter_public_key) FILTER (WHERE v.vote_value),
+                         COUNT(DISTINCT v.voter_public_key) FILTER (WHERE NOT v.vote_value))::float
+                   / GREATEST(COUNT(DISTINCT v.voter_public_key), 1)
+                 ELSE 0 END as controversy,
+                 ${rank} as rank
+                 FROM rumors r
+                 LEFT JOIN votes v ON r.id = v.rumor_id
+                 LEFT JOIN comments c ON r.id = c.rumor_id AND c.hidden_at IS NULL AND c.deleted_at IS NULL
+                 WHERE ${where.join(' AND ')}
+                 GROUP BY r.id
+             ) feed
+             ${after}
+             ORDER BY feed.${sort.key} ${sort.direction}, feed.id ${sort.direction}
+             LIMIT ${param(limit + 1)}
+             ) page
+             LEFT JOIN finalized_scores fs ON fs.rumor_id = page.id
+             LEFT JOIN votes vv ON vv.rumor_id = page.id AND vv.voter_public_key = ${viewer}
+             LEFT JOIN LATERAL (
+                SELECT SUM(w.weight) FILTER (WHERE w.vote_value) as true_weight,
+                       SUM(w.weight) as total_weight,
+                       COUNT(*) FILTER (WHERE w.vote_value) as true_votes,
+                       COUNT(*) as live_votes
+                FROM (SELECT v.vote_value, ${VOTE_WEIGHT_SQL} as weight
+                      FROM votes v
+                      WHERE v.rumor_id = page.id AND fs.rumor_id IS NULL AND vv.voter_public_key IS NOT NULL) w
+             ) live ON true
+             ORDER BY page.${sort.key} ${sort.direction}, page.id ${sort.direction}`,
+            params
         );
-        res.json(rumors.rows);
+
+        // Sort keys travel in the cursor as Postgres text so they compare back exactly
+        const page = rumors.rows.slice(0, limit);
+        const hasMore = rumors.rows.length > limit;
+
+        res.json({
+            rumors: page.map(({ controversy, rank, sort_key, ...row }) => withViewerScore(withRumorMedia(row))),
+            next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+        });
     } catch (error) {
         res.status(500).json({ error: 'Failed to fetch rumors' });
     }
@@ -596,7 +2086,9 @@ app.get('/api/rumors/:id', async (req, res) => {
     try {
         const { id } = req.params;
         const rumor = await db.query(
-            'SELECT r.id, r.content, r.category, r.creator_public_key, r.created_at, r.deadline, COUNT(v.rumor_id) as vote_count FROM rumors r LEFT JOIN votes v ON r.id = v.rumor_id WHERE r.id = $1 GROUP BY r.id',
+            `SELECT r.id, r.content, r.category, r.creator_public_key, r.created_at, r.deadline, COUNT(v.rumor_id) as vote_count,
+             ${RUMOR_MEDIA_IDS_SQL} as media_ids
+             FROM rumors r LEFT JOIN votes v ON r.id = v.rumor_id WHERE r.id = $1 AND r.hidden_at IS NULL GROUP BY r.id`,
             [id]
         );
         
@@ -604,108 +2096,1333 @@ app.get('/api/rumors/:id', async (req, res) => {
             return res.status(404).json({ error: 'Rumor not found' });
         }
         
-        res.json({ rumor: rumor.rows[0] });
+        res.json({ rumor: withRumorMedia(rumor.rows[0]) });
     } catch (error) {
         res.status(500).json({ error: 'Failed to fetch rumor' });
     }
 });
 
-// ==================== COMMENTS ====================
-
-// Get comments for a rumor
-app.get('/api/rumors/:id/comments', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const comments = await db.query(
-            'SELECT id, rumor_id, commenter_public_key, content, image_url, created_at FROM comments WHERE rumor_id = $1 ORDER BY created_at ASC',
-            [id]
-        );
-        res.json(comments.rows);
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch comments' });
+// ==================== LIVE EVENTS ====================
+
+// Server-Sent Events on /api/events push feed changes to open clients:
+// rumor-created, vote-count-changed, comment-added, rumor-finalized and
+// rumor-deleted. Payloads carry ids and counts only. A vote's direction
+// never goes out before the deadline (FR3.4); clients that may see a score
+// re-fetch it through the regular endpoints.
+const EVENT_HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle streams
+// Every open stream holds a response and a timer, so they are capped overall
+// and per (hashed) IP. The per-IP cap leaves room for a shared campus NAT.
+const EVENT_MAX_CLIENTS = 1000;
+const EVENT_MAX_CLIENTS_PER_IP = 20;
+const EVENT_RETRY_AFTER_S = 30;
+const eventClients = new Set();
+const eventClientsPerIP = new Map();
+let eventSeq = 0;
+
+function broadcastEvent(type, data) {
+    const frame = `id: ${++eventSeq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of eventClients) {
+        client.write(frame);
     }
-});
+}
 
-// Post a comment on a rumor
-app.post('/api/rumors/:id/comments', async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { commenter_public_key, content, signature, image_url } = req.body;
+app.get('/api/events', (req, res) => {
+    const ipHash = hashIP(req);
+    const fromIP = eventClientsPerIP.get(ipHash) || 0;
+    if (eventClients.size >= EVENT_MAX_CLIENTS || fromIP >= EVENT_MAX_CLIENTS_PER_IP) {
+        res.set('Retry-After', String(EVENT_RETRY_AFTER_S));
+        return res.status(503).json({ error: 'Too many live connections, try again later' });
+    }
 
-        if ((!content || content.trim().length === 0) && !image_url) {
-            return res.status(400).json({ error: 'Comment cannot be empty' });
-        }
-        if (content && content.length > 500) {
-            return res.status(400).json({ error: 'Comment too long (max 500 characters)' });
-        }
-        // Validate image size (max ~2MB base64)
-        if (image_url && image_url.length > 2800000) {
-            return res.status(400).json({ error: 'Image too large (max 2MB)' });
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    eventClients.add(res);
+    eventClientsPerIP.set(ipHash, fromIP + 1);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventClients.delete(res);
+        const left = eventClientsPerIP.get(ipHash) - 1;
+        if (left > 0) {
+            eventClientsPerIP.set(ipHash, left);
+        } else {
+            eventClientsPerIP.delete(ipHash);
         }
+    });
+});
 
-        // Verify signature (signature covers text content only)
-        const signContent = content || '';
-        if (!verifySignature(`COMMENT:${id}:${signContent}`, signature, commenter_public_key)) {
-            return res.status(401).json({ error: 'Invalid signature' });
-        }
+// ==================== MEDIA ====================
+
+// Media storage backend. Keys are content hashes, so stored files are
+// immutable. Only local disk for now: an S3-compatible store just needs
+// the same put/get/remove methods.
+const localMediaStore = {
+    dir: process.env.MEDIA_DIR || path.join(__dirname, 'media'),
+    async put(key, buffer) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.dir, key), buffer);
+    },
+    async get(key) {
+        return fs.promises.readFile(path.join(this.dir, key));
+    },
+    async remove(key) {
+        await fs.promises.rm(path.join(this.dir, key), { force: true });
+    }
+};
 
-        // Check rumor exists
-        const rumor = await db.query('SELECT id FROM rumors WHERE id = $1', [id]);
-        if (!rumor.rows[0]) {
-            return res.status(404).json({ error: 'Rumor not found' });
-        }
+const mediaStore = localMediaStore;
 
-        // Check user exists
-        const user = await db.query('SELECT public_key FROM users WHERE public_key = $1', [commenter_public_key]);
-        if (!user.rows[0]) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+const MEDIA_MAX_UPLOAD_BYTES = 8 * 1024 * 1024;
+const RUMOR_MAX_IMAGES = 4;
+const MEDIA_MAX_WIDTH = 1600;
+const MEDIA_THUMB_WIDTH = 320;
+const MEDIA_ID_PATTERN = /^[0-9a-f]{64}$/;
 
-        const result = await db.query(
-            'INSERT INTO comments (rumor_id, commenter_public_key, content, image_url) VALUES ($1, $2, $3, $4) RETURNING id, rumor_id, commenter_public_key, content, image_url, created_at',
-            [id, commenter_public_key, (content || '').trim(), image_url || null]
-        );
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MEDIA_MAX_UPLOAD_BYTES, files: 1 }
+});
 
-        res.json({ success: true, comment: result.rows[0] });
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to post comment' });
+// Re-encode an uploaded image and store it plus a thumbnail.
+// Re-encoding drops all metadata (EXIF, GPS, camera serials) so photos
+// can't de-anonymize whoever took them.
+async function ingestImage(buffer) {
+    const image = sharp(buffer, { failOn: 'error' }).rotate(); // Apply EXIF orientation before it is dropped
+    const { data, info } = await image
+        .resize({ width: MEDIA_MAX_WIDTH, withoutEnlargement: true })
+        .jpeg({ quality: 80, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+    const thumbnail = await sharp(data)
+        .resize({ width: MEDIA_THUMB_WIDTH, withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+
+    const id = sha256Hex(data);
+    if (!(await mediaExists(id))) {
+        await mediaStore.put(`${id}.jpg`, data);
+        await mediaStore.put(`${id}_thumb.jpg`, thumbnail);
+        await db.query(
+            'INSERT INTO media (id, mime_type, size_bytes, width, height) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (id) DO NOTHING',
+            [id, 'image/jpeg', data.length, info.width, info.height]
+        );
     }
-});
+    return { id, width: info.width, height: info.height };
+}
 
-// API info endpoint - redirect to proper frontend
-app.get('/', (req, res) => {
-    res.json({
-        service: 'Anonymous Campus Rumors API',
+async function mediaExists(id) {
+    if (typeof id !== 'string' || !MEDIA_ID_PATTERN.test(id)) return false;
+    const result = await db.query('SELECT 1 FROM media WHERE id = $1', [id]);
+    return result.rows.length > 0;
+}
+
+// Short URLs for a stored image
+function mediaRef(mediaId) {
+    return {
+        id: mediaId,
+        url: `/api/media/${mediaId}`,
+        thumbnail_url: `/api/media/${mediaId}/thumb`
+    };
+}
+
+// Attach short media URLs to a row that carries a media_id
+function withMediaUrls(row) {
+    return { ...row, media: row.media_id ? mediaRef(row.media_id) : null };
+}
+
+// Ordered evidence image ids for rumor r, as a JSON array column
+const RUMOR_MEDIA_IDS_SQL = `COALESCE((SELECT json_agg(rm.media_id ORDER BY rm.position)
+     FROM rumor_media rm WHERE rm.rumor_id = r.id), '[]')`;
+
+// Replace a rumor row's media_ids column with short media URLs
+function withRumorMedia(row) {
+    const { media_ids, ...rumor } = row;
+    return { ...rumor, media: media_ids.map(mediaRef) };
+}
+
+// Delete media no longer referenced by anything (FR6: erased content takes
+// its images with it). With no ids given, sweeps uploads older than an hour
+// that were never attached.
+async function releaseMedia(mediaIds = null) {
+    const orphans = await db.query(
+        `SELECT m.id FROM media m
+         WHERE ($1::text[] IS NULL OR m.id = ANY($1))
+           AND ($1::text[] IS NOT NULL OR m.created_at < NOW() - INTERVAL '1 hour')
+           AND NOT EXISTS (SELECT 1 FROM comments c WHERE c.media_id = m.id)
+           AND NOT EXISTS (SELECT 1 FROM rumor_media rm WHERE rm.media_id = m.id)`,
+        [mediaIds]
+    );
+    for (const { id } of orphans.rows) {
+        await db.query('DELETE FROM media WHERE id = $1', [id]);
+        await mediaStore.remove(`${id}.jpg`);
+        await mediaStore.remove(`${id}_thumb.jpg`);
+    }
+}
+
+// Sweep abandoned uploads every hour
+setInterval(() => {
+    releaseMedia().catch(e => console.error('Media cleanup error:', e.message));
+}, 60 * 60 * 1000);
+
+// One-time migration: move legacy base64 comment images into the media store.
+// image_hash follows the stored media like it does for new comments.
+async function migrateInlineCommentImages() {
+    const legacy = await db.query(
+        "SELECT id, image_url FROM comments WHERE media_id IS NULL AND image_url LIKE 'data:image/%'"
+    );
+    for (const row of legacy.rows) {
+        try {
+            const media = await ingestImage(Buffer.from(row.image_url.split(',')[1], 'base64'));
+            await db.query('UPDATE comments SET media_id = $1, image_hash = $1, image_url = NULL WHERE id = $2', [media.id, row.id]);
+        } catch (e) {
+            console.error(`Could not migrate image for comment #${row.id}:`, e.message);
+        }
+    }
+}
+
+// Upload an image (multipart field "image"), signed by a registered key
+app.post('/api/media', (req, res, next) => {
+    mediaUpload.single('image')(req, res, (err) => {
+        if (err) {
+            const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'Image too large (max 8MB)' : 'Invalid upload' });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const { public_key, signature } = req.body;
+        if (!req.file) {
+            return res.status(400).json({ error: 'No image attached' });
+        }
+
+        let envelope;
+        try {
+            envelope = JSON.parse(req.body.envelope);
+        } catch {
+            return res.status(400).json({ error: 'Invalid envelope' });
+        }
+
+        // Signature covers the hash of the original upload
+        const sigError = await verifySignedAction({ envelope, signature }, {
+            publicKey: public_key,
+            action: 'MEDIA_UPLOAD',
+            payload: sha256Hex(req.file.buffer)
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const user = await db.query('SELECT 1 FROM users WHERE public_key = $1', [public_key]);
+        if (!user.rows[0]) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        let media;
+        try {
+            media = await ingestImage(req.file.buffer);
+        } catch {
+            return res.status(400).json({ error: 'Unsupported or corrupt image' });
+        }
+
+        res.json({ success: true, ...mediaRef(media.id), width: media.width, height: media.height });
+    } catch (error) {
+        res.status(500).json({ error: 'Upload failed' });
+    }
+});
+
+// Serve stored media (immutable: the URL is the content hash)
+async function sendMedia(req, res, suffix) {
+    const { mediaId } = req.params;
+    if (!(await mediaExists(mediaId))) {
+        return res.status(404).json({ error: 'Media not found' });
+    }
+    const bytes = await mediaStore.get(`${mediaId}${suffix}.jpg`);
+    res.set('Content-Type', 'image/jpeg');
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.send(bytes);
+}
+
+app.get('/api/media/:mediaId', async (req, res) => {
+    try {
+        await sendMedia(req, res, '');
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch media' });
+    }
+});
+
+app.get('/api/media/:mediaId/thumb', async (req, res) => {
+    try {
+        await sendMedia(req, res, '_thumb');
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch media' });
+    }
+});
+
+// ==================== COMMENTS ====================
+
+// Deepest reply level (top-level comments are depth 0)
+const COMMENT_MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 3;
+
+// Get comments for a rumor
+app.get('/api/rumors/:id/comments', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { parent, viewer_public_key } = req.query;
+        const comments = await db.query(
+            `SELECT c.id, c.rumor_id, c.parent_id, c.depth, c.commenter_public_key, c.content, c.media_id, c.image_hash,
+             c.created_at, c.edited_at, c.hidden_at, c.deleted_at, h.helpfulness, h.helpful_count, h.unhelpful_count, mine.helpful AS viewer_helpful
+             FROM comments c
+             LEFT JOIN LATERAL (
+                SELECT COALESCE(SUM(CASE WHEN v.helpful THEN 1 ELSE -1 END * ${VOTE_WEIGHT_SQL}), 0) AS helpfulness,
+                       COUNT(*) FILTER (WHERE v.helpful) AS helpful_count,
+                       COUNT(*) FILTER (WHERE NOT v.helpful) AS unhelpful_count
+                FROM comment_votes v WHERE v.comment_id = c.id
+             ) h ON true
+             LEFT JOIN comment_votes mine ON mine.comment_id = c.id AND mine.voter_public_key = $2
+             WHERE c.rumor_id = $1 ORDER BY c.created_at ASC`,
+            [id, viewer_public_key || null]
+        );
+
+        const tree = buildCommentTree(comments.rows);
+        if (parent === undefined) {
+            return res.json(tree);
+        }
+
+        // ?parent=<comment id>: just that comment's replies (as subtrees)
+        const find = (nodes) => {
+            for (const node of nodes) {
+                if (String(node.id) === String(parent)) return node;
+                const found = find(node.replies);
+                if (found) return found;
+            }
+            return null;
+        };
+        const node = find(tree);
+        if (!node) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        res.json(node.replies);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+});
+
+// Helpful / unhelpful vote on a comment (signed). helpful: null clears the vote.
+app.post('/api/comments/:id/vote', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { voter_public_key, helpful } = req.body;
+
+        if (helpful !== true && helpful !== false && helpful !== null) {
+            return res.status(400).json({ error: 'helpful must be true, false or null' });
+        }
+
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: voter_public_key,
+            action: 'COMMENT_VOTE',
+            target: id,
+            payload: String(helpful)
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const user = await db.query('SELECT created_at FROM users WHERE public_key = $1', [voter_public_key]);
+        if (!user.rows[0]) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!isPastProbation(user.rows[0].created_at)) {
+            return res.status(403).json({ error: 'Account in probation period' });
+        }
+
+        const comment = await db.query('SELECT commenter_public_key, hidden_at, deleted_at FROM comments WHERE id = $1', [id]);
+        if (!comment.rows[0] || comment.rows[0].hidden_at || comment.rows[0].deleted_at) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (comment.rows[0].commenter_public_key === voter_public_key) {
+            return res.status(403).json({ error: 'Cannot vote on your own comment' });
+        }
+
+        if (helpful === null) {
+            await db.query('DELETE FROM comment_votes WHERE comment_id = $1 AND voter_public_key = $2', [id, voter_public_key]);
+        } else {
+            await db.query(
+                `INSERT INTO comment_votes (comment_id, voter_public_key, helpful) VALUES ($1, $2, $3)
+                 ON CONFLICT (comment_id, voter_public_key) DO UPDATE SET helpful = $3, voted_at = NOW()`,
+                [id, voter_public_key, helpful]
+            );
+        }
+
+        await appendAuditLog('COMMENT_VOTE', voter_public_key, `comment:${id}`, crypto.createHash('sha256').update(`${id}:${helpful}`).digest('hex'));
+
+        const counts = await db.query(
+            `SELECT COALESCE(SUM(CASE WHEN v.helpful THEN 1 ELSE -1 END * ${VOTE_WEIGHT_SQL}), 0) AS helpfulness,
+             COUNT(*) FILTER (WHERE v.helpful) AS helpful_count,
+             COUNT(*) FILTER (WHERE NOT v.helpful) AS unhelpful_count
+             FROM comment_votes v WHERE v.comment_id = $1`,
+            [id]
+        );
+        res.json({
+            success: true,
+            viewer_helpful: helpful,
+            helpfulness: Math.round(parseFloat(counts.rows[0].helpfulness) * 10) / 10,
+            helpful_count: parseInt(counts.rows[0].helpful_count),
+            unhelpful_count: parseInt(counts.rows[0].unhelpful_count)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to vote on comment' });
+    }
+});
+
+// Nest comment rows (oldest first) under their parents, most helpful first
+// among siblings. Each node gets replies, reply_count (all descendants) and
+// can_reply. Hidden and deleted comments are dropped, or kept as empty
+// placeholders if visible replies hang off them.
+function buildCommentTree(rows) {
+    const nodes = new Map(rows.map(row => [row.id, {
+        ...withMediaUrls(row),
+        helpfulness: Math.round(parseFloat(row.helpfulness || 0) * 10) / 10,
+        helpful_count: parseInt(row.helpful_count) || 0,
+        unhelpful_count: parseInt(row.unhelpful_count) || 0,
+        viewer_helpful: row.viewer_helpful ?? null,
+        replies: []
+    }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent_id && nodes.get(node.parent_id);
+        (parent ? parent.replies : roots).push(node);
+    }
+
+    const finish = (list) => list.sort((a, b) => b.helpfulness - a.helpfulness).filter(node => {
+        node.replies = finish(node.replies);
+        node.reply_count = node.replies.reduce((sum, r) => sum + 1 + r.reply_count, 0);
+        node.can_reply = !node.hidden_at && !node.deleted_at && node.depth < COMMENT_MAX_DEPTH;
+        if (node.deleted_at) {
+            Object.assign(node, { deleted: true, content: null, media_id: null, image_hash: null, media: null, commenter_public_key: null, edited_at: null });
+        } else if (node.hidden_at) {
+            Object.assign(node, { hidden: true, content: null, media_id: null, image_hash: null, media: null, commenter_public_key: null });
+        }
+        delete node.hidden_at;
+        delete node.deleted_at;
+        return !(node.hidden || node.deleted) || node.replies.length > 0;
+    });
+    return finish(roots);
+}
+
+// Post a comment on a rumor
+app.post('/api/rumors/:id/comments', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { commenter_public_key, content, media_id, parent_id = null } = req.body;
+
+        if ((!content || content.trim().length === 0) && !media_id) {
+            return res.status(400).json({ error: 'Comment cannot be empty' });
+        }
+        if (content && content.length > 500) {
+            return res.status(400).json({ error: 'Comment too long (max 500 characters)' });
+        }
+
+        // Media ids are the SHA-256 of the stored bytes, so signing the id
+        // signs the image itself
+        if (media_id && !(await mediaExists(media_id))) {
+            return res.status(400).json({ error: 'Unknown media_id (upload the image first)' });
+        }
+
+        const screening = screenContent((content || '').trim());
+        if (screening.outcome === 'block') {
+            return res.status(422).json({ error: 'Comment contains personal information', code: 'CONTENT_BLOCKED', screening });
+        }
+
+        if (parent_id !== null && !Number.isInteger(parent_id)) {
+            return res.status(400).json({ error: 'Invalid parent_id' });
+        }
+
+        // Verify signature (covers text content, the image hash and the parent)
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: commenter_public_key,
+            action: 'COMMENT',
+            target: id,
+            payload: `${content || ''}\n${media_id || ''}\n${parent_id ?? ''}`
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        // Check rumor exists
+        const rumor = await db.query('SELECT id, hidden_at FROM rumors WHERE id = $1', [id]);
+        if (!rumor.rows[0]) {
+            return res.status(404).json({ error: 'Rumor not found' });
+        }
+        if (rumor.rows[0].hidden_at) {
+            return res.status(403).json({ error: 'Rumor is hidden pending review' });
+        }
+
+        // Check user exists
+        const user = await db.query('SELECT public_key FROM users WHERE public_key = $1', [commenter_public_key]);
+        if (!user.rows[0]) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Replies must stay within the rumor and the maximum thread depth
+        let depth = 0;
+        if (parent_id !== null) {
+            const parent = await db.query('SELECT depth, hidden_at, deleted_at FROM comments WHERE id = $1 AND rumor_id = $2', [parent_id, id]);
+            if (!parent.rows[0] || parent.rows[0].hidden_at || parent.rows[0].deleted_at) {
+                return res.status(404).json({ error: 'Parent comment not found' });
+            }
+            depth = parent.rows[0].depth + 1;
+            if (depth > COMMENT_MAX_DEPTH) {
+                return res.status(400).json({ error: `Replies can only nest ${COMMENT_MAX_DEPTH} levels deep` });
+            }
+        }
+
+        const result = await db.query(
+            `INSERT INTO comments (rumor_id, commenter_public_key, content, media_id, image_hash, hidden_at, hidden_reason, parent_id, depth)
+             VALUES ($1, $2, $3, $4, $4, CASE WHEN $5::text IS NULL THEN NULL ELSE NOW() END, $5, $6, $7)
+             RETURNING id, rumor_id, parent_id, depth, commenter_public_key, content, media_id, image_hash, created_at, edited_at`,
+            [id, commenter_public_key, screening.content, media_id || null, screeningHoldReason(screening), parent_id, depth]
+        );
+
+        // First entry in the comment's hash history (edits append COMMENT_EDIT)
+        await appendAuditLog('COMMENT', commenter_public_key, `comment:${result.rows[0].id}`, crypto.createHash('sha256').update(screening.content).digest('hex'));
+
+        if (screening.outcome !== 'review') {
+            await notifyCommentAdded(id, result.rows[0]);
+
+            const count = await db.query(
+                'SELECT COUNT(*) AS comment_count FROM comments WHERE rumor_id = $1 AND hidden_at IS NULL AND deleted_at IS NULL',
+                [id]
+            );
+            broadcastEvent('comment-added', {
+                rumor_id: Number(id),
+                comment_id: result.rows[0].id,
+                parent_id,
+                comment_count: parseInt(count.rows[0].comment_count)
+            });
+        }
+
+        res.json({
+            success: true,
+            comment: {
+                ...withMediaUrls(result.rows[0]),
+                helpfulness: 0,
+                helpful_count: 0,
+                unhelpful_count: 0,
+                viewer_helpful: null,
+                replies: [],
+                reply_count: 0,
+                can_reply: depth < COMMENT_MAX_DEPTH
+            },
+            held_for_review: screening.outcome === 'review',
+            screening
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to post comment' });
+    }
+});
+
+// Tell the rumor's creator about a new comment, and the parent's author
+// about a reply (one notification each, never for your own comment)
+async function notifyCommentAdded(rumorId, comment) {
+    const owners = await db.query(
+        `SELECT r.creator_public_key, p.commenter_public_key AS parent_author
+         FROM rumors r LEFT JOIN comments p ON p.id = $2 WHERE r.id = $1`,
+        [rumorId, comment.parent_id]
+    );
+    const { creator_public_key, parent_author } = owners.rows[0] || {};
+    const ref = { rumorId: Number(rumorId), commentId: comment.id };
+    if (parent_author && parent_author !== comment.commenter_public_key) {
+        await notify(parent_author, 'comment_reply', ref);
+    }
+    if (creator_public_key && creator_public_key !== comment.commenter_public_key && creator_public_key !== parent_author) {
+        await notify(creator_public_key, 'rumor_comment', ref);
+    }
+    // Comments only reach watchers of the rumor itself, not of its category
+    await notifyWatchers(rumorId, 'watch_comment', {
+        commentId: comment.id,
+        exclude: [comment.commenter_public_key, creator_public_key, parent_author],
+        categories: false
+    });
+}
+
+// Edit own comment (signed; payload is the new text). The audit log keeps
+// a SHA-256 of every version, so the edit history is verifiable without
+// storing the old text.
+app.put('/api/comments/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { commenter_public_key, content } = req.body;
+
+        if (typeof content !== 'string' || content.length > 500) {
+            return res.status(400).json({ error: 'Comment too long (max 500 characters)' });
+        }
+
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: commenter_public_key,
+            action: 'COMMENT_EDIT',
+            target: id,
+            payload: content
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const comment = await db.query('SELECT commenter_public_key, media_id, hidden_at, deleted_at FROM comments WHERE id = $1', [id]);
+        if (!comment.rows[0] || comment.rows[0].deleted_at) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (comment.rows[0].commenter_public_key !== commenter_public_key) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+        if (comment.rows[0].hidden_at) {
+            return res.status(403).json({ error: 'Comment is hidden pending review' });
+        }
+        if (content.trim().length === 0 && !comment.rows[0].media_id) {
+            return res.status(400).json({ error: 'Comment cannot be empty' });
+        }
+
+        const screening = screenContent(content.trim());
+        if (screening.outcome === 'block') {
+            return res.status(422).json({ error: 'Comment contains personal information', code: 'CONTENT_BLOCKED', screening });
+        }
+
+        const result = await db.query(
+            `UPDATE comments SET content = $2, edited_at = NOW(),
+             hidden_at = CASE WHEN $3::text IS NULL THEN NULL ELSE NOW() END, hidden_reason = $3
+             WHERE id = $1 RETURNING id, content, edited_at`,
+            [id, screening.content, screeningHoldReason(screening)]
+        );
+
+        // Helpful votes were cast on the old text
+        await db.query('DELETE FROM comment_votes WHERE comment_id = $1', [id]);
+
+        await appendAuditLog('COMMENT_EDIT', commenter_public_key, `comment:${id}`, crypto.createHash('sha256').update(screening.content).digest('hex'));
+
+        res.json({
+            success: true,
+            comment: result.rows[0],
+            held_for_review: screening.outcome === 'review',
+            screening
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to edit comment' });
+    }
+});
+
+// FR6: Delete own comment. Without replies the row goes entirely; with
+// replies it stays as an empty tombstone so the thread keeps its shape.
+app.delete('/api/comments/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { commenter_public_key, signature } = req.body;
+
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: commenter_public_key,
+            action: 'COMMENT_DELETE',
+            target: id
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const comment = await db.query('SELECT commenter_public_key, media_id, deleted_at FROM comments WHERE id = $1', [id]);
+        if (!comment.rows[0] || comment.rows[0].deleted_at) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (comment.rows[0].commenter_public_key !== commenter_public_key) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+
+        // Add to audit log BEFORE deletion (transparency)
+        await appendAuditLog('COMMENT_DELETE', commenter_public_key, `comment:${id}`, crypto.createHash('sha256').update(`${id}:${signature}`).digest('hex'));
+
+        await db.query("DELETE FROM reports WHERE target_type = 'comment' AND target_id = $1", [id]);
+        await db.query('DELETE FROM comment_votes WHERE comment_id = $1', [id]);
+
+        const replies = await db.query('SELECT 1 FROM comments WHERE parent_id = $1 LIMIT 1', [id]);
+        if (replies.rows.length > 0) {
+            await db.query(
+                `UPDATE comments SET content = '', media_id = NULL, image_hash = NULL, image_url = NULL,
+                 commenter_public_key = NULL, edited_at = NULL, deleted_at = NOW() WHERE id = $1`,
+                [id]
+            );
+        } else {
+            await db.query('DELETE FROM comments WHERE id = $1', [id]);
+        }
+
+        if (comment.rows[0].media_id) {
+            await releaseMedia([comment.rows[0].media_id]);
+        }
+
+        res.json({ success: true, tombstone: replies.rows.length > 0 });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete comment' });
+    }
+});
+
+// ==================== MODERATION ====================
+
+// Moderators are listed by public key in MODERATOR_PUBLIC_KEYS (comma-separated)
+// and sign every request like any other action. Each moderator action is
+// written to the audit log under the moderator's key.
+const MODERATOR_KEYS = new Set(
+    (process.env.MODERATOR_PUBLIC_KEYS || '').split(',').map(k => k.trim()).filter(Boolean)
+);
+
+async function verifyModeratorAction(body, { action, target = '', payload = '' }) {
+    if (!MODERATOR_KEYS.has(body.moderator_public_key)) {
+        return { status: 403, error: 'Not a moderator', code: 'NOT_MODERATOR' };
+    }
+    return verifySignedAction(body, { publicKey: body.moderator_public_key, action, target, payload });
+}
+
+// GET requests carry the signed envelope JSON-encoded in the query string
+function signedQuery(query) {
+    try {
+        return { ...query, envelope: JSON.parse(query.envelope) };
+    } catch {
+        return { ...query, envelope: null };
+    }
+}
+
+// Re-finalize one rumor: reverse the reputation its last finalization
+// applied, then score it again from the current votes
+app.post('/api/moderation/rumors/:id/refinalize', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { moderator_public_key, reason = '' } = req.body;
+
+        const sigError = await verifyModeratorAction(req.body, { action: 'MOD_REFINALIZE', target: id, payload: reason });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const rumor = await db.query('SELECT id, deadline FROM rumors WHERE id = $1', [id]);
+        if (!rumor.rows[0]) {
+            return res.status(404).json({ error: 'Rumor not found' });
+        }
+        if (new Date(rumor.rows[0].deadline).getTime() > Date.now()) {
+            return res.status(400).json({ error: 'Rumor has not reached its deadline' });
+        }
+
+        // Reversal, re-scoring and the new reputation rows commit together
+        if (!await finalizeRumor(rumor.rows[0].id, { refinalizeReason: `Rumor #${id} re-finalized by moderator` })) {
+            return res.status(404).json({ error: 'Rumor not found' });
+        }
+
+        await appendAuditLog('MOD_REFINALIZE', moderator_public_key, id.toString(), crypto.createHash('sha256').update(`refinalize:${id}:${reason}`).digest('hex'));
+
+        const finalized = await db.query('SELECT trust_score, raw_score, total_votes, outcome FROM finalized_scores WHERE rumor_id = $1', [id]);
+        res.json({ success: true, finalized: finalized.rows[0] });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to re-finalize rumor' });
+    }
+});
+
+// Hide a rumor or comment pending review, or restore it after review.
+// Target in the signed envelope is '<rumor|comment>:<id>'.
+function moderateVisibility(table, kind, hide) {
+    return async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { moderator_public_key, reason = '' } = req.body;
+            const target = `${kind}:${id}`;
+            const action = hide ? 'MOD_HIDE' : 'MOD_UNHIDE';
+
+            const sigError = await verifyModeratorAction(req.body, { action, target, payload: reason });
+            if (sigError) {
+                return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+            }
+
+            const result = await db.query(
+                hide
+                    ? `UPDATE ${table} SET hidden_at = NOW(), hidden_by = $2, hidden_reason = $3 WHERE id = $1 AND hidden_at IS NULL RETURNING id`
+                    : `UPDATE ${table} SET hidden_at = NULL, hidden_by = NULL, hidden_reason = NULL WHERE id = $1 AND hidden_at IS NOT NULL RETURNING id`,
+                hide ? [id, moderator_public_key, reason] : [id]
+            );
+            if (result.rowCount === 0) {
+                const exists = await db.query(`SELECT 1 FROM ${table} WHERE id = $1`, [id]);
+                return exists.rows[0]
+                    ? res.status(409).json({ error: hide ? 'Already hidden' : 'Not hidden' })
+                    : res.status(404).json({ error: `${kind === 'rumor' ? 'Rumor' : 'Comment'} not found` });
+            }
+
+            await appendAuditLog(action, moderator_public_key, target, crypto.createHash('sha256').update(`${action}:${target}:${reason}`).digest('hex'));
+
+            // Hidden rumors leave open feeds like deleted ones
+            if (hide && kind === 'rumor') {
+                broadcastEvent('rumor-deleted', { rumor_id: Number(id), hidden: true });
+                await notifyRumorCreator(id, 'rumor_hidden', { reason: reason || null });
+            }
+
+            res.json({ success: true, hidden: hide });
+        } catch (error) {
+            res.status(500).json({ error: 'Moderation failed' });
+        }
+    };
+}
+
+app.post('/api/moderation/rumors/:id/hide', moderateVisibility('rumors', 'rumor', true));
+app.post('/api/moderation/rumors/:id/unhide', moderateVisibility('rumors', 'rumor', false));
+app.post('/api/moderation/comments/:id/hide', moderateVisibility('comments', 'comment', true));
+app.post('/api/moderation/comments/:id/unhide', moderateVisibility('comments', 'comment', false));
+
+// Create or update a category. active = false retires it for new rumors
+// (existing rumors keep it and can still be filtered on).
+app.put('/api/moderation/categories/:slug', async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const { moderator_public_key, label, description = '', default_deadline_hours, min_voter_reputation = 0, active = true } = req.body;
+
+        if (!CATEGORY_SLUG_PATTERN.test(slug) || slug.length > WATCH_CATEGORY_MAX) {
+            return res.status(400).json({ error: 'Slug must be lowercase words joined by hyphens' });
+        }
+        if (typeof label !== 'string' || !label.trim() || label.length > 40) {
+            return res.status(400).json({ error: 'Label is required (max 40 characters)' });
+        }
+        if (typeof description !== 'string' || description.length > 200) {
+            return res.status(400).json({ error: 'Description too long (max 200 characters)' });
+        }
+        if (!Number.isInteger(default_deadline_hours) || default_deadline_hours < 1 || default_deadline_hours > MAX_DEADLINE_HOURS) {
+            return res.status(400).json({ error: `default_deadline_hours must be 1 to ${MAX_DEADLINE_HOURS}` });
+        }
+        if (typeof min_voter_reputation !== 'number' || !Number.isFinite(min_voter_reputation) || min_voter_reputation < 0) {
+            return res.status(400).json({ error: 'min_voter_reputation must be a number of at least 0' });
+        }
+        if (typeof active !== 'boolean') {
+            return res.status(400).json({ error: 'active must be true or false' });
+        }
+
+        const payload = `${label}\n${description}\n${default_deadline_hours}\n${min_voter_reputation}\n${active}`;
+        const sigError = await verifyModeratorAction(req.body, { action: 'MOD_CATEGORY', target: slug, payload });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        // New categories go to the end of the list
+        const result = await db.query(
+            `INSERT INTO categories (slug, label, description, default_deadline_hours, min_voter_reputation, active, position)
+             VALUES ($1, $2, $3, $4, $5, $6, (SELECT COALESCE(MAX(position), -1) + 1 FROM categories))
+             ON CONFLICT (slug) DO UPDATE SET label = $2, description = $3, default_deadline_hours = $4,
+                min_voter_reputation = $5, active = $6
+             RETURNING *`,
+            [slug, label.trim(), description.trim() || null, default_deadline_hours, min_voter_reputation, active]
+        );
+
+        await appendAuditLog('MOD_CATEGORY', moderator_public_key, `category:${slug}`, crypto.createHash('sha256').update(payload).digest('hex'));
+
+        res.json({ success: true, category: { ...categoryJson(result.rows[0]), active: result.rows[0].active } });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update category' });
+    }
+});
+
+// Review queue: everything currently hidden pending review, oldest first
+app.get('/api/moderation/queue', async (req, res) => {
+    try {
+        const body = signedQuery(req.query);
+        const sigError = await verifyModeratorAction(body, { action: 'MOD_QUEUE' });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const rumors = await db.query(
+            `SELECT id, content, category, creator_public_key, created_at, deadline, hidden_at, hidden_by, hidden_reason
+             FROM rumors WHERE hidden_at IS NOT NULL ORDER BY hidden_at ASC`
+        );
+        const comments = await db.query(
+            `SELECT id, rumor_id, commenter_public_key, content, media_id, created_at, hidden_at, hidden_by, hidden_reason
+             FROM comments WHERE hidden_at IS NOT NULL AND deleted_at IS NULL ORDER BY hidden_at ASC`
+        );
+
+        await appendAuditLog('MOD_QUEUE', body.moderator_public_key, null, crypto.createHash('sha256').update(`queue:${body.envelope.nonce}`).digest('hex'));
+
+        res.json({ rumors: rumors.rows, comments: comments.rows });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch moderation queue' });
+    }
+});
+
+// ==================== REPORTS ====================
+
+const REPORT_REASONS = ['doxxing', 'harassment', 'spam', 'illegal_content', 'personal_info'];
+const REPORT_TARGETS = { rumor: 'rumors', comment: 'comments' };
+const REPORT_DETAILS_MAX = 500;
+
+// Open reports hide their target once the reporters' combined weight reaches
+// this. A report weighs the reporter's reputation (capped like vote weight),
+// so fresh keys alone can never hide anything.
+const REPORT_HIDE_THRESHOLD = parseFloat(process.env.REPORT_HIDE_THRESHOLD) || 1.0;
+const AUTO_HIDE_REASON = 'Reported by the community'; // hidden_reason of report auto-hides (hidden_by NULL)
+
+function getReportWeight(reputation) {
+    return Math.min(VOTE_WEIGHT_CAP, Math.max(0, reputation));
+}
+
+// Report a rumor or comment (signed; target is '<rumor|comment>:<id>')
+app.post('/api/reports', async (req, res) => {
+    try {
+        const { reporter_public_key, target_type, target_id, reason, details = '' } = req.body;
+
+        const table = REPORT_TARGETS[target_type];
+        if (!table || !Number.isInteger(target_id)) {
+            return res.status(400).json({ error: 'Invalid report target' });
+        }
+        if (!REPORT_REASONS.includes(reason)) {
+            return res.status(400).json({ error: 'Invalid reason', reasons: REPORT_REASONS });
+        }
+        if (typeof details !== 'string' || details.length > REPORT_DETAILS_MAX) {
+            return res.status(400).json({ error: `Details too long (max ${REPORT_DETAILS_MAX} characters)` });
+        }
+
+        const target = `${target_type}:${target_id}`;
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: reporter_public_key,
+            action: 'REPORT',
+            target,
+            payload: `${reason}\n${details}`
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const user = await db.query('SELECT public_key FROM users WHERE public_key = $1', [reporter_public_key]);
+        if (!user.rows[0]) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        // Deleted comments linger only as tombstones for their replies
+        const live = target_type === 'comment' ? 'AND deleted_at IS NULL' : '';
+        const reported = await db.query(`SELECT id, hidden_at FROM ${table} WHERE id = $1 ${live}`, [target_id]);
+        if (!reported.rows[0]) {
+            return res.status(404).json({ error: 'Report target not found' });
+        }
+
+        const weight = getReportWeight(await getReputationAtTime(reporter_public_key));
+        const inserted = await db.query(
+            `INSERT INTO reports (target_type, target_id, reporter_public_key, reason, details, weight)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (target_type, target_id, reporter_public_key) DO NOTHING
+             RETURNING id`,
+            [target_type, target_id, reporter_public_key, reason, details.trim() || null, weight]
+        );
+        if (inserted.rowCount === 0) {
+            return res.status(409).json({ error: 'Already reported' });
+        }
+
+        await appendAuditLog('REPORT', reporter_public_key, target, crypto.createHash('sha256').update(`${target}:${reason}:${details}`).digest('hex'));
+
+        // The creator learns the reason, not who reported
+        if (target_type === 'rumor') {
+            await notifyRumorCreator(target_id, 'rumor_reported', { reason });
+        }
+
+        // Auto-hide pending review once enough reputation stands behind the reports
+        let hidden = !!reported.rows[0].hidden_at;
+        if (!hidden) {
+            const open = await db.query(
+                'SELECT COALESCE(SUM(weight), 0) AS weight FROM reports WHERE target_type = $1 AND target_id = $2 AND resolved_at IS NULL',
+                [target_type, target_id]
+            );
+            if (parseFloat(open.rows[0].weight) >= REPORT_HIDE_THRESHOLD) {
+                const result = await db.query(
+                    `UPDATE ${table} SET hidden_at = NOW(), hidden_by = NULL, hidden_reason = $2 WHERE id = $1 AND hidden_at IS NULL`,
+                    [target_id, AUTO_HIDE_REASON]
+                );
+                if (result.rowCount > 0) {
+                    hidden = true;
+                    await appendAuditLog('AUTO_HIDE', null, target, crypto.createHash('sha256').update(`auto-hide:${target}:${open.rows[0].weight}`).digest('hex'));
+                    if (target_type === 'rumor') {
+                        broadcastEvent('rumor-deleted', { rumor_id: target_id, hidden: true });
+                        await notifyRumorCreator(target_id, 'rumor_hidden', { reason: AUTO_HIDE_REASON });
+                    }
+                }
+            }
+        }
+
+        res.json({ success: true, report_id: inserted.rows[0].id, hidden });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to submit report' });
+    }
+});
+
+// Moderator: list reports grouped by target (?status=open|resolved, default open)
+app.get('/api/moderation/reports', async (req, res) => {
+    try {
+        const body = signedQuery(req.query);
+        const status = req.query.status || 'open';
+        if (!['open', 'resolved'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid status (open or resolved)' });
+        }
+
+        const sigError = await verifyModeratorAction(body, { action: 'MOD_REPORTS', payload: status });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const reports = await db.query(
+            `SELECT rp.id, rp.target_type, rp.target_id, rp.reason, rp.details, rp.weight, rp.created_at,
+             rp.resolved_at, rp.resolved_by, rp.resolution,
+             COALESCE(r.content, c.content) AS target_content,
+             COALESCE(r.hidden_at, c.hidden_at) AS target_hidden_at
+             FROM reports rp
+             LEFT JOIN rumors r ON rp.target_type = 'rumor' AND r.id = rp.target_id
+             LEFT JOIN comments c ON rp.target_type = 'comment' AND c.id = rp.target_id
+             WHERE rp.resolved_at IS ${status === 'open' ? '' : 'NOT '}NULL
+             ORDER BY rp.created_at ASC`
+        );
+
+        // One queue entry per reported target, heaviest first
+        const targets = new Map();
+        for (const row of reports.rows) {
+            const key = `${row.target_type}:${row.target_id}`;
+            if (!targets.has(key)) {
+                targets.set(key, {
+                    target_type: row.target_type,
+                    target_id: row.target_id,
+                    content: row.target_content,
+                    hidden: !!row.target_hidden_at,
+                    total_weight: 0,
+                    reports: []
+                });
+            }
+            const entry = targets.get(key);
+            entry.total_weight += parseFloat(row.weight);
+            entry.reports.push({
+                id: row.id,
+                reason: row.reason,
+                details: row.details,
+                weight: parseFloat(row.weight),
+                created_at: row.created_at,
+                resolved_at: row.resolved_at,
+                resolved_by: row.resolved_by,
+                resolution: row.resolution
+            });
+        }
+
+        await appendAuditLog('MOD_REPORTS', body.moderator_public_key, null, crypto.createHash('sha256').update(`reports:${status}:${body.envelope.nonce}`).digest('hex'));
+
+        res.json({ targets: [...targets.values()].sort((a, b) => b.total_weight - a.total_weight) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+});
+
+// Moderator: resolve every open report on the same target as :id.
+// 'upheld' keeps the target hidden; 'dismissed' restores it only if the
+// reports themselves hid it. Hides by a moderator or by screening stay until /unhide.
+app.post('/api/moderation/reports/:id/resolve', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { moderator_public_key, resolution, note = '' } = req.body;
+
+        if (!['upheld', 'dismissed'].includes(resolution)) {
+            return res.status(400).json({ error: 'Invalid resolution (upheld or dismissed)' });
+        }
+
+        const sigError = await verifyModeratorAction(req.body, {
+            action: 'MOD_RESOLVE_REPORT',
+            target: id,
+            payload: `${resolution}\n${note}`
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const report = await db.query('SELECT target_type, target_id, resolved_at FROM reports WHERE id = $1', [id]);
+        if (!report.rows[0]) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        if (report.rows[0].resolved_at) {
+            return res.status(409).json({ error: 'Report already resolved' });
+        }
+
+        const { target_type, target_id } = report.rows[0];
+        const table = REPORT_TARGETS[target_type];
+        const target = `${target_type}:${target_id}`;
+
+        const resolved = await db.query(
+            `UPDATE reports SET resolved_at = NOW(), resolved_by = $3, resolution = $4
+             WHERE target_type = $1 AND target_id = $2 AND resolved_at IS NULL RETURNING id`,
+            [target_type, target_id, moderator_public_key, resolution]
+        );
+
+        if (resolution === 'upheld') {
+            await db.query(
+                `UPDATE ${table} SET hidden_at = COALESCE(hidden_at, NOW()), hidden_by = $2, hidden_reason = $3 WHERE id = $1`,
+                [target_id, moderator_public_key, note || 'Report upheld']
+            );
+            if (target_type === 'rumor') {
+                broadcastEvent('rumor-deleted', { rumor_id: target_id, hidden: true });
+                await notifyRumorCreator(target_id, 'rumor_hidden', { reason: note || 'Report upheld' });
+            }
+        } else {
+            await db.query(
+                `UPDATE ${table} SET hidden_at = NULL, hidden_by = NULL, hidden_reason = NULL
+                 WHERE id = $1 AND hidden_by IS NULL AND hidden_reason = $2`,
+                [target_id, AUTO_HIDE_REASON]
+            );
+        }
+
+        await appendAuditLog('MOD_RESOLVE_REPORT', moderator_public_key, target, crypto.createHash('sha256').update(`${target}:${resolution}:${resolved.rows.map(r => r.id).join(',')}:${note}`).digest('hex'));
+
+        res.json({ success: true, resolution, resolved_reports: resolved.rows.map(r => r.id) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to resolve report' });
+    }
+});
+
+// ==================== NOTIFICATIONS ====================
+
+// Private per-key inbox: 'rumor_finalized' (voters and the creator, with
+// whether they were right and their reputation change), 'rumor_comment',
+// 'comment_reply', 'rumor_reported', 'rumor_hidden', and the watch list's
+// 'watch_new_rumor', 'watch_comment' and 'watch_finalized'. Reading and
+// marking read are signed, so nobody else can see whose rumors or votes they are.
+const NOTIFICATION_PAGE_SIZE = 30;
+const NOTIFICATION_MAX_PAGE_SIZE = 100;
+
+// Never fails the action that triggered it
+async function notify(publicKey, type, { rumorId = null, commentId = null, data = {} } = {}) {
+    try {
+        await db.query(
+            'INSERT INTO notifications (public_key, type, rumor_id, comment_id, data) VALUES ($1, $2, $3, $4, $5)',
+            [publicKey, type, rumorId, commentId, data]
+        );
+    } catch (error) {
+        console.error('Notification error:', error.message);
+    }
+}
+
+async function notifyRumorCreator(rumorId, type, data) {
+    const rumor = await db.query('SELECT creator_public_key FROM rumors WHERE id = $1', [rumorId]);
+    if (rumor.rows[0]?.creator_public_key) {
+        await notify(rumor.rows[0].creator_public_key, type, { rumorId: Number(rumorId), data });
+    }
+}
+
+async function countUnread(publicKey) {
+    const unread = await db.query('SELECT COUNT(*) AS count FROM notifications WHERE public_key = $1 AND read_at IS NULL', [publicKey]);
+    return parseInt(unread.rows[0].count);
+}
+
+// Newest first (?unread=true for unread only, ?limit=). Signed in the query
+// string like the moderator GETs.
+app.get('/api/notifications', async (req, res) => {
+    try {
+        const body = signedQuery(req.query);
+        const { public_key, unread } = body;
+        const sigError = await verifySignedAction(body, { publicKey: public_key, action: 'NOTIFICATIONS' });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+        const limit = Math.min(parseInt(body.limit) || NOTIFICATION_PAGE_SIZE, NOTIFICATION_MAX_PAGE_SIZE);
+
+        const notifications = await db.query(
+            `SELECT n.id, n.type, n.rumor_id, n.comment_id, n.data, n.created_at, n.read_at,
+             LEFT(r.content, 80) AS rumor_excerpt
+             FROM notifications n LEFT JOIN rumors r ON r.id = n.rumor_id
+             WHERE n.public_key = $1 AND ($2::boolean IS NOT TRUE OR n.read_at IS NULL)
+             ORDER BY n.created_at DESC, n.id DESC LIMIT $3`,
+            [public_key, unread === 'true', limit]
+        );
+
+        res.json({ notifications: notifications.rows, unread_count: await countUnread(public_key) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// Mark notifications read: ids, or all of them when ids is omitted
+app.post('/api/notifications/read', async (req, res) => {
+    try {
+        const { public_key, ids = null } = req.body;
+        if (ids !== null && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+            return res.status(400).json({ error: 'ids must be a list of notification ids' });
+        }
+
+        const sigError = await verifySignedAction(req.body, {
+            publicKey: public_key,
+            action: 'NOTIFICATIONS_READ',
+            payload: ids === null ? 'all' : ids.join(',')
+        });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const marked = await db.query(
+            `UPDATE notifications SET read_at = NOW()
+             WHERE public_key = $1 AND read_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2))`,
+            [public_key, ids]
+        );
+
+        res.json({ success: true, marked: marked.rowCount, unread_count: await countUnread(public_key) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to mark notifications read' });
+    }
+});
+
+// ==================== WATCHES ====================
+
+// Private watch list of rumors and categories. Every read and change is
+// signed and nothing goes to the public audit log: who watches what is as
+// private as a notification inbox.
+const WATCH_CATEGORY_MAX = 50;
+
+// Validated '<rumor|category>:<value>' target, or null
+function parseWatchTarget(targetType, target) {
+    if (targetType === 'rumor' && Number.isInteger(target)) {
+        return { column: 'rumor_id', value: target };
+    }
+    if (targetType === 'category' && typeof target === 'string' && target.trim() && target.length <= WATCH_CATEGORY_MAX) {
+        return { column: 'category', value: target.trim() };
+    }
+    return null;
+}
+
+// Notify everyone watching a rumor (and, unless categories is false, its
+// category), skipping keys that already got a more specific notification
+async function notifyWatchers(rumorId, type, { commentId = null, exclude = [], data = {}, categories = true } = {}) {
+    try {
+        await db.query(
+            `INSERT INTO notifications (public_key, type, rumor_id, comment_id, data)
+             SELECT DISTINCT w.public_key, $2, $1::int, $3::int, $4::jsonb FROM watches w
+             WHERE (w.rumor_id = $1 OR ($6 AND w.category = (SELECT category FROM rumors WHERE id = $1)))
+               AND NOT (w.public_key = ANY($5::text[]))`,
+            [rumorId, type, commentId, data, exclude.filter(Boolean), categories]
+        );
+    } catch (error) {
+        console.error('Watch notification error:', error.message);
+    }
+}
+
+// The caller's watch list (signed query)
+app.get('/api/watches', async (req, res) => {
+    try {
+        const body = signedQuery(req.query);
+        const sigError = await verifySignedAction(body, { publicKey: body.public_key, action: 'WATCHES' });
+        if (sigError) {
+            return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+        }
+
+        const watches = await db.query(
+            'SELECT rumor_id, category FROM watches WHERE public_key = $1 ORDER BY created_at ASC',
+            [body.public_key]
+        );
+        res.json({
+            rumors: watches.rows.filter(w => w.rumor_id !== null).map(w => w.rumor_id),
+            categories: watches.rows.filter(w => w.category !== null).map(w => w.category)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch watch list' });
+    }
+});
+
+// Watch (POST) or stop watching (DELETE) a rumor or category
+function changeWatch(watch) {
+    return async (req, res) => {
+        try {
+            const { public_key, target_type, target } = req.body;
+            const parsed = parseWatchTarget(target_type, target);
+            if (!parsed) {
+                return res.status(400).json({ error: 'Invalid watch target' });
+            }
+
+            const sigError = await verifySignedAction(req.body, {
+                publicKey: public_key,
+                action: watch ? 'WATCH' : 'UNWATCH',
+                target: `${target_type}:${parsed.value}`
+            });
+            if (sigError) {
+                return res.status(sigError.status).json({ error: sigError.error, code: sigError.code });
+            }
+
+            if (!watch) {
+                await db.query(`DELETE FROM watches WHERE public_key = $1 AND ${parsed.column} = $2`, [public_key, parsed.value]);
+                return res.json({ success: true, watching: false });
+            }
+
+            const user = await db.query('SELECT public_key FROM users WHERE public_key = $1', [public_key]);
+            if (!user.rows[0]) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            if (target_type === 'rumor') {
+                const rumor = await db.query('SELECT id FROM rumors WHERE id = $1 AND hidden_at IS NULL', [parsed.value]);
+                if (!rumor.rows[0]) {
+                    return res.status(404).json({ error: 'Rumor not found' });
+                }
+            } else if (!(await getCategory(parsed.value))) {
+                return res.status(404).json({ error: 'Unknown category' });
+            }
+
+            await db.query(
+                `INSERT INTO watches (public_key, ${parsed.column}) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+                [public_key, parsed.value]
+            );
+            res.json({ success: true, watching: true });
+        } catch (error) {
+            res.status(500).json({ error: 'Failed to update watch list' });
+        }
+    };
+}
+
+app.post('/api/watches', changeWatch(true));
+app.delete('/api/watches', changeWatch(false));
+
+// API info endpoint - redirect to proper frontend
+app.get('/', (req, res) => {
+    res.json({
+        service: 'Anonymous Campus Rumors API',
         version: '2.2',
         frontend: 'https://scriptsorcerer23.github.io/anonymous-campus-rumors/',
         api_base: '/api',
         endpoints: {
-            'POST /api/register': 'Register new user account',
+            'GET /api/register/challenge': 'Signed, expiring proof-of-work challenge for registration',
+            'POST /api/register': 'Register new user account (solves a challenge)',
+            'POST /api/keys/rotate': 'Rotate to a new key (signed by old and new key), carrying reputation over',
+            'GET /api/categories': 'Category registry with per-category defaults',
             'POST /api/rumors': 'Submit new rumor',
-            'GET /api/rumors': 'Get all active rumors',
+            'POST /api/screen': 'Preview PII screening for rumor or comment text',
+            'GET /api/rumors': 'Paginated rumor feed (status, category, created range, q, sort, cursor, signed viewer_public_key or watching)',
             'POST /api/vote': 'Vote on rumor truthfulness',
+            'POST /api/vote/change': 'Change or retract a vote before the deadline',
             'DELETE /api/rumors/:id': 'Delete own rumor',
-            'GET /api/rumors/:id/comments': 'Get comments for a rumor',
+            'GET /api/events': 'Live feed updates (Server-Sent Events)',
+            'GET /api/rumors/:id/comments': 'Comment threads for a rumor, most helpful first (?parent=, ?viewer_public_key=)',
+            'POST /api/comments/:id/vote': 'Mark a comment helpful or unhelpful',
             'POST /api/rumors/:id/comments': 'Post a comment on a rumor',
-            'GET /api/user/:publicKey/reputation': 'Check user reputation'
+            'PUT /api/comments/:id': 'Edit own comment',
+            'DELETE /api/comments/:id': 'Delete own comment',
+            'POST /api/media': 'Upload an image (multipart)',
+            'GET /api/media/:mediaId': 'Fetch an uploaded image (/thumb for thumbnail)',
+            'GET /api/audit/log': 'Public audit log',
+            'GET /api/audit/verify': 'Verify the audit log hash chain',
+            'GET /api/audit/head': 'Latest signed audit chain head',
+            'GET /api/user/:publicKey/reputation': 'Check user reputation',
+            'GET /api/user/:publicKey/reputation/history': 'Reputation over time (daily)',
+            'GET /api/user/:publicKey/lineage': 'Key rotation lineage with both signatures per rotation',
+            'POST /api/moderation/rumors/:id/refinalize': 'Moderator: re-finalize one rumor',
+            'POST /api/moderation/(rumors|comments)/:id/(hide|unhide)': 'Moderator: hide pending review, or restore',
+            'GET /api/moderation/queue': 'Moderator: items awaiting review',
+            'POST /api/reports': 'Report a rumor or comment',
+            'GET /api/moderation/reports': 'Moderator: reports grouped by target',
+            'POST /api/moderation/reports/:id/resolve': 'Moderator: uphold or dismiss reports',
+            'PUT /api/moderation/categories/:slug': 'Moderator: create or update a category',
+            'GET /api/notifications': 'Your notifications (signed)',
+            'POST /api/notifications/read': 'Mark notifications read (signed)',
+            'GET /api/watches': 'Your watch list (signed)',
+            'POST /api/watches': 'Watch a rumor or category (signed)',
+            'DELETE /api/watches': 'Stop watching a rumor or category (signed)'
         },
         message: 'Use the React frontend for the full experience!'
     });
 });
 
-// Temporary admin endpoint to reset finalized scores for re-finalization
-app.post('/api/admin/reset-finalized', async (req, res) => {
-    try {
-        const { admin_key } = req.body;
-        if (admin_key !== 'reset-2026-feb') return res.status(403).json({ error: 'Unauthorized' });
-        await db.query('DELETE FROM finalized_scores');
-        await db.query('DELETE FROM reputation_cache');
-        const expired = await db.query('SELECT COUNT(*) FROM rumors WHERE deadline < NOW()');
-        res.json({ success: true, message: 'Cleared all finalized scores and rep cache', expired_to_refinalize: expired.rows[0].count });
-    } catch(e) {
-        res.status(500).json({ error: e.message });
-    }
-});
-
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));